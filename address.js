@@ -0,0 +1,155 @@
+// Address parsing/normalization helpers shared by the create routes. Kept separate from
+// geocode.js on purpose: nothing in here makes a network request, so it's
+// safe to call on every request (and from anywhere) without touching the
+// Nominatim throttle.
+
+// Secondary unit designators that can trail a street address, e.g.
+// "12 Main St Apt 4B", "12 Main St, Unit 2", "12 Main St #3". "#" is handled
+// separately below since it doesn't need whitespace after it.
+const UNIT_DESIGNATORS = ['apartment', 'apt', 'unit', 'suite', 'ste', 'floor', 'fl', 'room', 'rm', 'lot', 'bldg', 'building'];
+
+const UNIT_SUFFIX_PATTERN = new RegExp(
+  `^(.*?)[\\s,]+(?:(?:${UNIT_DESIGNATORS.join('|')})\\.?\\s*#?\\s*|#\\s*)([a-z0-9][a-z0-9-]*)\\s*$`,
+  'i'
+);
+
+// Splits a trailing unit designator off a street address so every unit in a
+// building shares one building row (and one geocode/Street View lookup).
+// Returns { street, unit } -- unit is null when there's nothing to split off.
+// The unit value has to look like a unit (contain a digit, or be a single
+// letter) so street names such as "12 Lot Rd" aren't mangled into a unit.
+function splitUnitFromAddress(address) {
+  const trimmed = (address || '').trim();
+  const match = trimmed.match(UNIT_SUFFIX_PATTERN);
+  if (!match) return { street: trimmed, unit: null };
+
+  const street = match[1].trim();
+  const unit = match[2].toUpperCase();
+  if (!/[a-z]/i.test(street) || !(/\d/.test(unit) || /^[A-Z]$/.test(unit))) {
+    return { street: trimmed, unit: null };
+  }
+
+  return { street, unit };
+}
+
+// USPS Publication 28 street suffix abbreviations (C1), plus the common
+// non-standard spellings people actually type ("STR", "AV", "BLV", ...).
+const STREET_SUFFIXES = {
+  ALLEY: 'ALY', ALLY: 'ALY',
+  ANNEX: 'ANX',
+  AVENUE: 'AVE', AV: 'AVE', AVEN: 'AVE', AVENU: 'AVE', AVN: 'AVE', AVNUE: 'AVE',
+  BEACH: 'BCH',
+  BOULEVARD: 'BLVD', BOUL: 'BLVD', BOULV: 'BLVD', BLV: 'BLVD',
+  BRIDGE: 'BRG',
+  BYPASS: 'BYP',
+  CAUSEWAY: 'CSWY',
+  CENTER: 'CTR', CENTRE: 'CTR', CENTR: 'CTR', CNTR: 'CTR',
+  CIRCLE: 'CIR', CIRC: 'CIR', CRCL: 'CIR',
+  COURT: 'CT', CRT: 'CT',
+  COVE: 'CV',
+  CRESCENT: 'CRES', CRSNT: 'CRES',
+  CROSSING: 'XING',
+  DRIVE: 'DR', DRIV: 'DR', DRV: 'DR',
+  EXPRESSWAY: 'EXPY', EXPRESS: 'EXPY', EXPW: 'EXPY',
+  EXTENSION: 'EXT',
+  FREEWAY: 'FWY',
+  GARDENS: 'GDNS',
+  HEIGHTS: 'HTS', HGTS: 'HTS',
+  HIGHWAY: 'HWY', HIWAY: 'HWY', HWAY: 'HWY',
+  HILL: 'HL',
+  ISLAND: 'IS',
+  JUNCTION: 'JCT',
+  LANE: 'LN',
+  LOOP: 'LOOP',
+  MOUNT: 'MT',
+  PARKWAY: 'PKWY', PARKWY: 'PKWY', PKY: 'PKWY',
+  PIKE: 'PIKE',
+  PLACE: 'PL',
+  PLAZA: 'PLZ',
+  POINT: 'PT',
+  ROAD: 'RD',
+  ROUTE: 'RTE',
+  SQUARE: 'SQ', SQR: 'SQ',
+  STREET: 'ST', STR: 'ST', STRT: 'ST',
+  TERRACE: 'TER', TERR: 'TER',
+  TRAIL: 'TRL', TRAILS: 'TRL',
+  TURNPIKE: 'TPKE', TRNPK: 'TPKE',
+  VIEW: 'VW',
+  WALK: 'WALK',
+  WAY: 'WAY'
+};
+
+const DIRECTIONALS = {
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+  NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW'
+};
+
+const ORDINALS = {
+  FIRST: '1ST', SECOND: '2ND', THIRD: '3RD', FOURTH: '4TH', FIFTH: '5TH',
+  SIXTH: '6TH', SEVENTH: '7TH', EIGHTH: '8TH', NINTH: '9TH', TENTH: '10TH'
+};
+
+// Every unit designator collapses to "#" in the key, so "Apt 4B", "Unit 4B"
+// and "#4B" all dedupe together -- people use them interchangeably for the
+// same door.
+const KEY_UNIT_DESIGNATORS = new Set(['#', 'APARTMENT', 'APT', 'UNIT', 'SUITE', 'STE', 'NO', 'NUMBER']);
+
+// Canonical form of a street address, for duplicate detection only -- never
+// shown to anyone, so it only needs to be consistent, not pretty. Uppercases,
+// drops punctuation, collapses whitespace and maps every token through the
+// USPS suffix/directional/ordinal tables, so "104 Coral Street" and
+// "104 coral st." come out identical.
+function normalizeAddress(address) {
+  const tokens = (address || '')
+    .toUpperCase()
+    .replace(/['\u2019]/g, '') // "O'Brien" and "OBrien" are the same street
+    .replace(/#/g, ' # ')
+    .replace(/[^A-Z0-9#\/\s-]/g, ' ') // keep "12-14" and "1/2", drop . , ' etc.
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const normalized = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (KEY_UNIT_DESIGNATORS.has(token)) {
+      // "APT # 4B" shouldn't become "# # 4B"
+      if (normalized[normalized.length - 1] !== '#') normalized.push('#');
+      continue;
+    }
+
+    normalized.push(STREET_SUFFIXES[token] || DIRECTIONALS[token] || ORDINALS[token] || token);
+  }
+
+  return normalized.join(' ');
+}
+
+// The key stored in properties.address_key and used for duplicate
+// detection: normalized street address plus the 5-digit ZIP (ZIP+4 is
+// dropped -- "33101" and "33101-1234" are the same place).
+function addressKey(address, zipCode) {
+  return `${normalizeAddress(address)}|${(zipCode || '').slice(0, 5)}`;
+}
+
+// The normalized document stored in properties.search_text and matched
+// (trigram word similarity) by GET /properties?q=. Normalizing both the
+// document and the query the same way is what makes "Coral Street" find
+// "104 Coral St." -- trigrams then absorb the remaining small typos.
+function searchText(address, city, state, zipCode) {
+  return normalizeAddress([address, city, state, zipCode].filter(Boolean).join(' '));
+}
+
+// Tokens that appear in a large share of all addresses ("ST", "AVE", "N",
+// the unit "#") carry almost no signal on their own, and a bare "St" query
+// would otherwise match half the table. They're dropped from the query
+// before matching; a query made only of them normalizes to "".
+const GENERIC_SEARCH_TOKENS = new Set([...Object.values(STREET_SUFFIXES), ...Object.values(DIRECTIONALS), '#']);
+
+function searchQueryText(query) {
+  return normalizeAddress(query)
+    .split(' ')
+    .filter(token => token && !GENERIC_SEARCH_TOKENS.has(token))
+    .join(' ');
+}
+
+module.exports = { splitUnitFromAddress, normalizeAddress, addressKey, searchText, searchQueryText };
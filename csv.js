@@ -0,0 +1,92 @@
+// Minimal RFC 4180 CSV reading (bulk import) and writing (export). Parsing
+// handles quoted fields (with embedded commas, newlines and "" escapes),
+// CRLF or LF line endings and a leading UTF-8 BOM -- which covers what Excel
+// and Google Sheets export. Not a general-purpose parser: no custom
+// delimiters, no streaming.
+
+class CsvParseError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'CsvParseError';
+    this.line = line;
+  }
+}
+
+// Returns an array of records, each an array of field strings. Blank lines
+// are skipped.
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let quoteStartLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    // A line with nothing on it isn't a record of one empty field.
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (field !== '') throw new CsvParseError('Unexpected quote inside an unquoted field', line);
+      inQuotes = true;
+      quoteStartLine = line;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new CsvParseError('Unterminated quoted field', quoteStartLine);
+  if (field !== '' || record.length > 0) endRecord();
+
+  return records;
+}
+
+// Text that spreadsheet apps would evaluate as a formula when the exported
+// file is opened ("=HYPERLINK(...)" in a description). Numbers like "-5"
+// are left alone.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One CSV line (CRLF-terminated) from an array of values. null/undefined
+// become empty cells; fields are quoted only when they need to be.
+function formatCsvRow(values) {
+  return values.map(value => {
+    if (value == null) return '';
+    let field = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(field) && Number.isNaN(Number(field))) {
+      field = `'${field}`;
+    }
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, CsvParseError, formatCsvRow };
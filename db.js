@@ -0,0 +1,21 @@
+// Shared Postgres pool. Lives in its own module so helpers outside
+// server.js (e.g. the geocoding cache) can query the same database without
+// opening a second pool.
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Minimum trigram word similarity for GET /properties?q= to count a row as
+// a match (pg_trgm's default is 0.6, which rejects most one-letter typos in
+// short queries). Session-level, so it's set on every new pool connection.
+const SEARCH_WORD_SIMILARITY_THRESHOLD = parseFloat(process.env.SEARCH_WORD_SIMILARITY_THRESHOLD ?? '0.4');
+
+pool.on('connect', (client) => {
+  client.query(`SET pg_trgm.word_similarity_threshold = ${SEARCH_WORD_SIMILARITY_THRESHOLD}`)
+    .catch(err => console.warn('Failed to set pg_trgm.word_similarity_threshold:', err.message));
+});
+
+module.exports = { pool };
@@ -0,0 +1,62 @@
+// Postgres-backed geocoding cache. The same address typically gets looked up
+// more than once -- previewed through GET /geocode, then submitted through
+// POST /properties/community a minute later -- and every lookup is either a
+// paid Google request or a slot in the 1 req/sec Nominatim queue. Checked
+// before either is touched (see geocode.js).
+//
+// Keys are normalizeAddress()'d so "104 Coral Street, Miami" and
+// "104 coral st miami" share an entry. "No results" answers are cached too,
+// under their own (shorter) TTL, since an address nobody can find is just as
+// expensive to re-ask about. Lookup *failures* are never cached -- see the
+// callers in geocode.js.
+const { pool } = require('./db');
+const { normalizeAddress } = require('./address');
+
+// TTLs are applied at read time, so changing them takes effect immediately
+// for existing rows too. A TTL of 0 disables that half of the cache.
+const POSITIVE_TTL_HOURS = parseFloat(process.env.GEOCODE_CACHE_TTL_HOURS ?? '720'); // 30 days
+const NEGATIVE_TTL_HOURS = parseFloat(process.env.GEOCODE_CACHE_NEGATIVE_TTL_HOURS ?? '24');
+
+// Returns undefined on a miss (or any cache error), otherwise
+// { provider, result } -- result is null for a cached "no results".
+async function getCachedGeocode(kind, query) {
+  try {
+    const result = await pool.query(
+      `SELECT provider, result, is_negative
+       FROM geocode_cache
+       WHERE kind = $1 AND query_key = $2
+         AND created_at > NOW() - (CASE WHEN is_negative THEN $3 ELSE $4 END) * INTERVAL '1 hour'`,
+      [kind, normalizeAddress(query), NEGATIVE_TTL_HOURS, POSITIVE_TTL_HOURS]
+    );
+    if (result.rows.length === 0) return undefined;
+
+    const row = result.rows[0];
+    return { provider: row.provider, result: row.is_negative ? null : row.result };
+  } catch (error) {
+    // The cache is an optimization -- a DB hiccup should cost a lookup, not
+    // fail the request.
+    console.warn('Geocode cache read failed:', error.message);
+    return undefined;
+  }
+}
+
+// result null (or an empty array, for suggestions) is stored as a negative entry.
+async function setCachedGeocode(kind, query, provider, result) {
+  const isNegative = result == null || (Array.isArray(result) && result.length === 0);
+  if ((isNegative ? NEGATIVE_TTL_HOURS : POSITIVE_TTL_HOURS) <= 0) return;
+
+  try {
+    await pool.query(
+      `INSERT INTO geocode_cache (kind, query_key, provider, result, is_negative, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (kind, query_key)
+       DO UPDATE SET provider = EXCLUDED.provider, result = EXCLUDED.result,
+                     is_negative = EXCLUDED.is_negative, created_at = EXCLUDED.created_at`,
+      [kind, normalizeAddress(query), provider, isNegative ? null : JSON.stringify(result), isNegative]
+    );
+  } catch (error) {
+    console.warn('Geocode cache write failed:', error.message);
+  }
+}
+
+module.exports = { getCachedGeocode, setCachedGeocode };
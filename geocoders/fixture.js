@@ -0,0 +1,54 @@
+// Fixture-file provider for offline development and tests -- answers from a
+// local JSON file instead of the network. Point GEOCODER_FIXTURE_FILE at a
+// file shaped like:
+//
+//   {
+//     "search": { "104 Coral Street, Miami, FL 33101": [ { "latitude": ..., "longitude": ..., ... } ] },
+//     "reverse": { "25.7617,-80.1918": [ { ... } ] }
+//   }
+//
+// Results use the same structured shape every provider returns (latitude,
+// longitude, display_name, address, city, state, zip_code, hasHouseNumber).
+// Search keys are matched through normalizeAddress, so casing and
+// "Street"/"St." don't matter; reverse keys are lat,lng rounded to 4
+// decimals (~11m). Anything not in the file is "no results", never a failure.
+const fs = require('fs');
+const path = require('path');
+const { normalizeAddress } = require('../address');
+
+const FIXTURE_FILE = process.env.GEOCODER_FIXTURE_FILE;
+
+let fixtures = null;
+
+function loadFixtures() {
+  if (fixtures) return fixtures;
+
+  const raw = JSON.parse(fs.readFileSync(path.resolve(FIXTURE_FILE), 'utf8'));
+  fixtures = { search: new Map(), reverse: new Map() };
+  for (const [query, results] of Object.entries(raw.search || {})) {
+    fixtures.search.set(normalizeAddress(query), results);
+  }
+  for (const [point, results] of Object.entries(raw.reverse || {})) {
+    const [lat, lng] = point.split(',').map(Number);
+    fixtures.reverse.set(reverseKey(lat, lng), results);
+  }
+  return fixtures;
+}
+
+function reverseKey(lat, lng) {
+  return `${lat.toFixed(4)},${lng.toFixed(4)}`;
+}
+
+module.exports = {
+  name: 'fixture',
+
+  isConfigured: () => Boolean(FIXTURE_FILE),
+
+  async search(query, { limit = 1 } = {}) {
+    return (loadFixtures().search.get(normalizeAddress(query)) || []).slice(0, limit);
+  },
+
+  async reverse(lat, lng) {
+    return (loadFixtures().reverse.get(reverseKey(lat, lng)) || []).slice(0, 1);
+  }
+};
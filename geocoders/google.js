@@ -0,0 +1,78 @@
+// Google Geocoding API provider (commercial, accurate). Not throttled like
+// Nominatim -- it's a standard commercial API with its own much higher
+// quota, no 1 req/sec policy to respect.
+const { httpsGetJson } = require('../httpsGetJson');
+
+// Same server-side key used for Street View -- just needs the Geocoding API
+// added to its enabled APIs (and, if the key has API restrictions, to that
+// allowlist too) in Google Cloud Console.
+const GOOGLE_GEOCODING_KEY = process.env.GOOGLE_STREETVIEW_SERVER_KEY;
+
+function componentValue(components, type, useShortName = false) {
+  const match = components.find(c => c.types.includes(type));
+  if (!match) return '';
+  return useShortName ? match.short_name : match.long_name;
+}
+
+function toStructuredResult(result) {
+  const comps = result.address_components || [];
+  const houseNumber = componentValue(comps, 'street_number');
+  const road = componentValue(comps, 'route');
+  const streetAddress = [houseNumber, road].filter(Boolean).join(' ') || result.formatted_address.split(',')[0];
+
+  return {
+    latitude: result.geometry.location.lat,
+    longitude: result.geometry.location.lng,
+    display_name: result.formatted_address,
+    address: streetAddress,
+    city: componentValue(comps, 'locality') || componentValue(comps, 'sublocality') || componentValue(comps, 'postal_town') || componentValue(comps, 'administrative_area_level_3') || '',
+    state: componentValue(comps, 'administrative_area_level_1', true),
+    zip_code: componentValue(comps, 'postal_code', true),
+    hasHouseNumber: Boolean(houseNumber)
+  };
+}
+
+// Shared by search and reverse -- both endpoints answer in the same
+// envelope. Returns structured results (best first), [] for a genuine
+// ZERO_RESULTS, or null on any failure.
+async function requestGeocode(url, limit) {
+  try {
+    const data = await httpsGetJson(url);
+
+    if (data.status === 'ZERO_RESULTS') return []; // genuinely no match -- expected, not an error
+
+    if (data.status !== 'OK' || !data.results?.length) {
+      // REQUEST_DENIED (API not enabled/billing not set up), OVER_QUERY_LIMIT,
+      // INVALID_REQUEST, etc. -- a real problem, not "no results". Logged
+      // distinctly so a misconfigured/exhausted key doesn't silently look
+      // like every address just happens to fall back to the next provider.
+      console.error('Google Geocoding API returned non-OK status:', data.status, data.error_message || '');
+      return null;
+    }
+
+    // Prefer a real, precise street-level match over a loose route/locality
+    // match if Google returned multiple candidates for an ambiguous query.
+    const isPrecise = (r) => r.types.includes('street_address') || r.types.includes('premise');
+    const ordered = [...data.results.filter(isPrecise), ...data.results.filter(r => !isPrecise(r))];
+    return ordered.slice(0, limit).map(toStructuredResult);
+  } catch (error) {
+    console.warn('Google Geocoding request failed:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'google',
+
+  isConfigured: () => Boolean(GOOGLE_GEOCODING_KEY),
+
+  search(query, { limit = 1 } = {}) {
+    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(query)}&components=country:US&key=${GOOGLE_GEOCODING_KEY}`;
+    return requestGeocode(url, limit);
+  },
+
+  reverse(lat, lng) {
+    const url = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&key=${GOOGLE_GEOCODING_KEY}`;
+    return requestGeocode(url, 1);
+  }
+};
@@ -0,0 +1,88 @@
+// Geocoding provider registry and chain configuration.
+//
+// A provider is an object with:
+//   name                        -- used in logs and recorded in the geocode cache
+//   isConfigured()              -- false means "skip me" (e.g. no API key set)
+//   search(query, { bias, limit, isAborted })
+//   reverse(lat, lng)           -- optional
+// search/reverse resolve to an array of structured results (empty meaning
+// "genuinely no match") or null when the request failed. They never reject.
+// A provider without reverse() is simply skipped in the reverse chain.
+//
+// Each kind of lookup has its own ordered chain, set through the
+// environment as a comma-separated list:
+//   GEOCODER_LOOKUP_CHAIN   one-shot lookups (creation, preview)   default: google,nominatim
+//   GEOCODER_SUGGEST_CHAIN  live-as-you-type suggestions           default: nominatim
+//   GEOCODER_REVERSE_CHAIN  lat/lng -> address                     default: google,nominatim
+// Entries are either a built-in provider name or a path (starting with "."
+// or "/", resolved from the working directory) to a module exporting a
+// provider -- that's how a self-hosted Pelias/Photon instance plugs in
+// without touching geocode.js.
+const path = require('path');
+
+const BUILT_IN_PROVIDERS = {
+  google: require('./google'),
+  nominatim: require('./nominatim'),
+  fixture: require('./fixture')
+};
+
+function loadProvider(entry) {
+  if (BUILT_IN_PROVIDERS[entry]) return BUILT_IN_PROVIDERS[entry];
+
+  if (entry.startsWith('.') || entry.startsWith('/')) {
+    const provider = require(path.resolve(entry));
+    if (!provider || typeof provider.search !== 'function') {
+      throw new Error(`Geocoding provider module ${entry} must export a search() function`);
+    }
+    return { name: entry, isConfigured: () => true, ...provider };
+  }
+
+  // Thrown at startup, deliberately -- a typo'd chain would otherwise just
+  // look like every lookup failing.
+  throw new Error(`Unknown geocoding provider "${entry}"`);
+}
+
+function resolveChain(envValue, defaultValue) {
+  return (envValue || defaultValue)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(loadProvider);
+}
+
+const chains = {
+  lookup: resolveChain(process.env.GEOCODER_LOOKUP_CHAIN, 'google,nominatim'),
+  suggest: resolveChain(process.env.GEOCODER_SUGGEST_CHAIN, 'nominatim'),
+  reverse: resolveChain(process.env.GEOCODER_REVERSE_CHAIN, 'google,nominatim')
+};
+
+// Runs `call` against each configured provider in the chain until one
+// returns a non-empty answer. Resolves to { provider, results } where
+// results is:
+//   - the first non-empty array any provider returned,
+//   - [] if every configured provider answered "no match" (safe to cache
+//     as a negative), or
+//   - null if nothing matched and at least one provider failed (not safe
+//     to cache -- it might just be an outage).
+async function runChain(chain, call) {
+  let anyFailed = false;
+  let lastAnswered = null;
+
+  for (const provider of chain) {
+    if (!provider.isConfigured()) continue;
+
+    const results = await call(provider);
+    if (results === undefined) continue; // provider doesn't support this kind of lookup
+    if (results === null) {
+      anyFailed = true;
+      continue;
+    }
+    if (results.length > 0) return { provider: provider.name, results };
+    lastAnswered = provider.name;
+  }
+
+  if (anyFailed || !lastAnswered) return { provider: null, results: null };
+  return { provider: lastAnswered, results: [] };
+}
+
+module.exports = { chains, runChain };
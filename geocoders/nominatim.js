@@ -0,0 +1,108 @@
+// OpenStreetMap Nominatim provider (free, 1 req/sec usage policy). Every
+// request -- search or reverse, from any caller -- goes through the same
+// global throttle queue below.
+const { httpsGetJson } = require('../httpsGetJson');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const REQUEST_OPTIONS = { headers: { 'User-Agent': 'RentReviews-Platform/1.0' } };
+
+// NJ/NY metro area (roughly NYC five boroughs + northern/central NJ + lower
+// Hudson Valley), as "left,top,right,bottom" (min_lon,max_lat,max_lon,min_lat).
+// Used as a soft ranking bias, not a hard filter — a query that clearly
+// resolves elsewhere still returns that result, this just stops ambiguous
+// queries (e.g. a bare street name with no city) from randomly matching a
+// same-named street in an unrelated state.
+const NJ_NY_METRO_VIEWBOX = '-75.5,41.4,-73.5,40.3';
+
+// Global serialization queue — ensures at most ~1 request/second reaches
+// Nominatim no matter how many callers ask at once (property creation,
+// search-address-preview, live suggestions, concurrent users, ...).
+// Required by Nominatim's usage policy; without this, enough simultaneous
+// traffic could get our server's IP rate-limited or banned, breaking
+// geocoding platform-wide. Callers just await normally — the queue makes
+// them wait their turn transparently, never rejects.
+const MIN_REQUEST_INTERVAL_MS = 1100;
+let requestQueue = Promise.resolve();
+
+function throttled(fn, isAborted) {
+  // The caller gets the result as soon as fn() actually resolves — the
+  // spacing delay only needs to gate when the *next* queued call is allowed
+  // to start, not pad the response time of this one. (An earlier version
+  // awaited the delay before returning, which added ~1.1s to every single
+  // request even when nothing else was queued.)
+  //
+  // isAborted is checked right as this item's turn comes up, not when it was
+  // queued — live-as-you-type suggestions fire one request per keystroke,
+  // and the browser abandons all but the latest as the user keeps typing.
+  // Skipped items must NOT pay the MIN_REQUEST_INTERVAL_MS spacing delay —
+  // that delay exists only to space out real Nominatim calls. An earlier
+  // version applied it unconditionally, so a pile of abandoned requests
+  // still serialized at 1.1s each even though none of them hit the network,
+  // completely defeating the point of skipping them.
+  const turnPromise = requestQueue.then(() => {
+    if (isAborted && isAborted()) {
+      return { skipped: true, value: null };
+    }
+    return fn().then(value => ({ skipped: false, value }));
+  });
+
+  requestQueue = turnPromise.then(
+    (result) => (result.skipped ? undefined : delay(MIN_REQUEST_INTERVAL_MS)),
+    () => delay(MIN_REQUEST_INTERVAL_MS) // still wait even if fn() threw, and don't let the queue itself reject
+  );
+
+  return turnPromise.then(result => result.value);
+}
+
+// Runs one throttled Nominatim request. Resolves to the parsed body, or null
+// if the request failed or was skipped (isAborted) -- never rejects.
+function throttledGetJson(url, isAborted) {
+  return throttled(() => httpsGetJson(url, REQUEST_OPTIONS).catch((err) => {
+    console.error('Geocoding error:', err);
+    return null;
+  }), isAborted);
+}
+
+function toStructuredResult(result) {
+  const addr = result.address || {};
+  const houseNumber = addr.house_number || '';
+  const road = addr.road || '';
+  const streetAddress = [houseNumber, road].filter(Boolean).join(' ') || result.display_name.split(',')[0];
+
+  return {
+    latitude: parseFloat(result.lat),
+    longitude: parseFloat(result.lon),
+    display_name: result.display_name,
+    address: streetAddress,
+    city: addr.city || addr.town || addr.village || addr.hamlet || '',
+    state: addr.state || '',
+    zip_code: addr.postcode || '',
+    hasHouseNumber: Boolean(houseNumber)
+  };
+}
+
+module.exports = {
+  name: 'nominatim',
+
+  isConfigured: () => true,
+
+  // Resolves to structured results (possibly empty, meaning "genuinely no
+  // match"), or null if the request failed or was skipped.
+  async search(query, { bias = false, limit = 1, isAborted } = {}) {
+    const viewboxParam = bias ? `&viewbox=${NJ_NY_METRO_VIEWBOX}` : '';
+    const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=${limit}&addressdetails=1${viewboxParam}`;
+    const results = await throttledGetJson(url, isAborted);
+    return Array.isArray(results) ? results.map(toStructuredResult) : null;
+  },
+
+  // Nominatim's reverse endpoint answers with a single object, or
+  // { error: 'Unable to geocode' } when there's nothing at that point.
+  async reverse(lat, lng) {
+    const url = `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json&addressdetails=1`;
+    const result = await throttledGetJson(url);
+    if (!result) return null;
+    if (result.error) return [];
+    return [toStructuredResult(result)];
+  }
+};
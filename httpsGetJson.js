@@ -0,0 +1,23 @@
+// Minimal JSON-over-HTTPS GET shared by the geocoding providers and the
+// Street View lookup. Rejects on network errors and unparseable bodies;
+// status-level failures (Google's status field, etc.) are left for the
+// caller to interpret since every API reports them differently.
+const https = require('https');
+
+function httpsGetJson(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    https.get(url, options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+module.exports = { httpsGetJson };
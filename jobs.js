@@ -0,0 +1,202 @@
+// Postgres-backed background job queue. Anything slow or rate limited that
+// a request shouldn't wait on (geocoding, Street View lookups, backfills)
+// is written to the jobs table -- ideally in the same transaction as the
+// row it's about -- and picked up by a worker loop, either inside the API
+// process or standalone (worker.js).
+//
+// Jobs are claimed with FOR UPDATE SKIP LOCKED, so any number of workers can
+// share the table. A failed attempt is retried with exponential backoff
+// until max_attempts; a job whose worker died mid-run is reclaimed once its
+// lock goes stale.
+const os = require('os');
+const { pool } = require('./db');
+
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS ?? '1000', 10);
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS ?? '5', 10);
+const JOB_BACKOFF_BASE_SECONDS = parseFloat(process.env.JOB_BACKOFF_BASE_SECONDS ?? '30');
+const JOB_BACKOFF_MAX_SECONDS = parseFloat(process.env.JOB_BACKOFF_MAX_SECONDS ?? '3600');
+// Long-running handlers keep their lock fresh through reportProgress().
+const JOB_LOCK_TIMEOUT_SECONDS = parseFloat(process.env.JOB_LOCK_TIMEOUT_SECONDS ?? '600');
+
+// Returned by a handler (see requeue()) to put its job back in line instead
+// of completing it.
+const REQUEUE = Symbol('requeue');
+
+// For handlers that work through something large in slices: saves progress
+// and lets every job that queued up meanwhile run before the next slice,
+// so one backfill can't starve a single worker. Doesn't count as an attempt.
+// With delaySeconds the job waits that long first -- that's how a recurring
+// job (see enqueueUniqueJob) schedules its next run.
+function requeue(progress, { delaySeconds = 0 } = {}) {
+  return { [REQUEUE]: true, progress, delaySeconds };
+}
+
+// Adds a job. Takes the client/pool to run on so callers can enqueue inside
+// their own transaction -- the job then exists if and only if the change
+// it's about committed.
+async function enqueueJob(db, type, payload = {}, { runAt = null, maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+  const result = await db.query(
+    `INSERT INTO jobs (type, payload, max_attempts, run_at)
+     VALUES ($1, $2, $3, COALESCE($4, NOW()))
+     RETURNING *`,
+    [type, JSON.stringify(payload), maxAttempts, runAt]
+  );
+  return result.rows[0];
+}
+
+// Enqueues a job of `type` unless one is already pending or running, and
+// returns whichever it is -- for singleton and recurring jobs that every
+// worker tries to seed at startup. The advisory lock keeps two workers
+// starting together from both inserting one.
+async function enqueueUniqueJob(type, payload = {}, options = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`jobs:${type}`]);
+    const existing = await client.query(
+      "SELECT * FROM jobs WHERE type = $1 AND status IN ('pending', 'running') ORDER BY id LIMIT 1",
+      [type]
+    );
+    const job = existing.rows[0] || await enqueueJob(client, type, payload, options);
+    await client.query('COMMIT');
+    return job;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function findJob(jobId) {
+  const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+  return result.rows[0] || null;
+}
+
+// Exponential, capped, with up to 20% jitter so a batch of jobs that failed
+// together (provider outage) doesn't retry in lockstep.
+function backoffSeconds(attempts) {
+  const base = Math.min(JOB_BACKOFF_BASE_SECONDS * Math.pow(2, attempts - 1), JOB_BACKOFF_MAX_SECONDS);
+  return base * (1 + Math.random() * 0.2);
+}
+
+async function claimJob(workerId, types) {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_at = NOW(), locked_by = $1, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE type = ANY($2)
+         AND ((status = 'pending' AND run_at <= NOW())
+           OR (status = 'running' AND locked_at < NOW() - $3 * INTERVAL '1 second'))
+       ORDER BY run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId, types, JOB_LOCK_TIMEOUT_SECONDS]
+  );
+  return result.rows[0] || null;
+}
+
+async function runJob(job, handler) {
+  const reportProgress = async (progress) => {
+    await pool.query(
+      'UPDATE jobs SET progress = $2, locked_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [job.id, JSON.stringify(progress)]
+    );
+  };
+
+  try {
+    // Only reachable through stale-lock reclaims -- a worker that keeps
+    // dying on this job shouldn't get to take the next one down too.
+    if (job.attempts > job.max_attempts) {
+      throw new Error('Job exceeded max_attempts (worker lost its lock)');
+    }
+
+    const result = await handler.run(job.payload, { job, reportProgress });
+
+    if (result?.[REQUEUE]) {
+      await pool.query(
+        `UPDATE jobs
+         SET status = 'pending', attempts = attempts - 1, progress = $2, run_at = NOW() + $3 * INTERVAL '1 second',
+             locked_at = NULL, locked_by = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [job.id, JSON.stringify(result.progress ?? job.progress), result.delaySeconds]
+      );
+      return;
+    }
+
+    await pool.query(
+      `UPDATE jobs
+       SET status = 'completed', result = $2, locked_at = NULL, locked_by = NULL,
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, result === undefined ? null : JSON.stringify(result)]
+    );
+  } catch (error) {
+    const finalAttempt = job.attempts >= job.max_attempts;
+    console.warn(`Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed:`, error.message);
+
+    if (!finalAttempt) {
+      await pool.query(
+        `UPDATE jobs
+         SET status = 'pending', last_error = $2, run_at = NOW() + $3 * INTERVAL '1 second',
+             locked_at = NULL, locked_by = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [job.id, error.message, backoffSeconds(job.attempts)]
+      );
+      return;
+    }
+
+    await pool.query(
+      `UPDATE jobs
+       SET status = 'failed', last_error = $2, locked_at = NULL, locked_by = NULL,
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, error.message]
+    );
+
+    if (handler.onFailed) {
+      await handler.onFailed(job.payload, { job, error })
+        .catch(hookError => console.error(`Job ${job.id} (${job.type}) onFailed hook failed:`, hookError));
+    }
+  }
+}
+
+// Starts polling for jobs of the types in `handlers` ({ [type]: { run,
+// onFailed? } }). run(payload, { job, reportProgress }) returns the job's
+// result (or requeue(progress)) and throws to fail the attempt. Runs one
+// job at a time; when a job was found it looks for the next one
+// immediately, otherwise it waits JOB_POLL_INTERVAL_MS. Returns { stop }.
+function startJobWorker(handlers, { pollIntervalMs = JOB_POLL_INTERVAL_MS } = {}) {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const types = Object.keys(handlers);
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    let job = null;
+    try {
+      job = await claimJob(workerId, types);
+      if (job) await runJob(job, handlers[job.type]);
+    } catch (error) {
+      // The queue itself is unreachable (DB down) -- back off a full interval.
+      console.error('Job worker error:', error.message);
+      job = null;
+    }
+    if (!stopped) timer = setTimeout(tick, job ? 0 : pollIntervalMs);
+  };
+
+  timer = setTimeout(tick, 0);
+  console.log(`Job worker ${workerId} started (${types.join(', ')})`);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = { enqueueJob, enqueueUniqueJob, findJob, requeue, startJobWorker };
@@ -0,0 +1,209 @@
+// Versioned schema migrations. Each file in migrations/ is named
+// NNN_description.js and exports async up(db) / down(db); NNN is the
+// version, applied in ascending order and recorded in schema_migrations.
+// Every migration runs in its own transaction, so a failure leaves the
+// schema at the last version that fully applied.
+//
+// CLI (see the "migrate" npm script):
+//   node migrate.js status
+//   node migrate.js up [version]     -- everything pending, or up to version
+//   node migrate.js down [steps]     -- roll back the latest (or N latest)
+//
+// 001 adopts the properties table /setup-database used to create and
+// refuses to roll back, so "down" stops there instead of dropping every
+// listing.
+//
+// server.js calls assertSchemaCurrent() before listening and refuses to
+// start against a database that's behind the code.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary but fixed -- keeps two deploys from migrating at once.
+const MIGRATION_LOCK_ID = 4_720_118;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+      return { version: parseInt(match[1], 10), name: match[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function appliedVersions(db) {
+  const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+// Returns { applied, pending, unknown } -- unknown are versions recorded in
+// the database with no file here (a newer deploy migrated, then this code
+// was rolled back).
+async function migrationStatus(db = pool) {
+  await ensureMigrationsTable(db);
+  const migrations = loadMigrations();
+  const applied = await appliedVersions(db);
+  const appliedSet = new Set(applied);
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    applied: migrations.filter(m => appliedSet.has(m.version)),
+    pending: migrations.filter(m => !appliedSet.has(m.version)),
+    unknown: applied.filter(version => !known.has(version))
+  };
+}
+
+async function runMigration(client, migration, direction) {
+  const { up, down } = require(path.join(MIGRATIONS_DIR, migration.file));
+  const step = direction === 'up' ? up : down;
+  if (typeof step !== 'function') {
+    throw new Error(`Migration ${migration.file} has no ${direction}()`);
+  }
+
+  await client.query('BEGIN');
+  try {
+    await step(client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+  }
+}
+
+// Holds the advisory lock (on one dedicated connection) for the duration of fn.
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Applies pending migrations in order, stopping after targetVersion if
+// given. Returns the migrations that were applied.
+async function migrateUp(targetVersion) {
+  return withMigrationLock(async (client) => {
+    const { pending } = await migrationStatus(client);
+    const toApply = pending.filter(m => targetVersion === undefined || m.version <= targetVersion);
+
+    for (const migration of toApply) {
+      console.log(`Applying ${migration.file}`);
+      await runMigration(client, migration, 'up');
+    }
+    return toApply;
+  });
+}
+
+// Rolls back the `steps` most recently applied migrations, newest first.
+// Returns the migrations that were rolled back.
+async function migrateDown(steps = 1) {
+  return withMigrationLock(async (client) => {
+    const { applied, unknown } = await migrationStatus(client);
+    if (unknown.length > 0) {
+      // Can't run a down() we don't have -- rolling back "around" it would
+      // leave the schema in a state no version of the code describes.
+      throw new Error(`Database has migrations this code doesn't know about (${unknown.join(', ')}); roll back from the newer deploy`);
+    }
+
+    const toRollBack = applied.slice(Math.max(applied.length - steps, 0)).reverse();
+    for (const migration of toRollBack) {
+      console.log(`Rolling back ${migration.file}`);
+      await runMigration(client, migration, 'down');
+    }
+    return toRollBack;
+  });
+}
+
+// Throws if any migration is pending. Versions the code doesn't know about
+// only warn: additive migrations from a newer deploy are expected to be
+// compatible with the code before them, and refusing to start would make a
+// code rollback impossible.
+async function assertSchemaCurrent() {
+  const { pending, unknown } = await migrationStatus();
+
+  if (unknown.length > 0) {
+    console.warn(`Database has migrations this code doesn't know about: ${unknown.join(', ')}`);
+  }
+  if (pending.length > 0) {
+    throw new Error(`Database schema is out of date -- pending migrations: ${pending.map(m => m.file).join(', ')}. Run "npm run migrate up".`);
+  }
+}
+
+module.exports = { loadMigrations, migrationStatus, migrateUp, migrateDown, assertSchemaCurrent };
+
+if (require.main === module) {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(arg !== undefined ? parseInt(arg, 10) : undefined);
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Already up to date');
+        break;
+      }
+      case 'down': {
+        const rolledBack = await migrateDown(arg !== undefined ? parseInt(arg, 10) : 1);
+        console.log(`Rolled back ${rolledBack.length} migration(s)`);
+        break;
+      }
+      case 'status': {
+        const { applied, pending, unknown } = await migrationStatus();
+        applied.forEach(m => console.log(`  applied  ${m.file}`));
+        pending.forEach(m => console.log(`  pending  ${m.file}`));
+        unknown.forEach(version => console.log(`  unknown  version ${version} (no file)`));
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}" -- expected up, down or status`);
+    }
+  };
+
+  if (arg !== undefined && !/^\d+$/.test(arg)) {
+    console.error(`Expected a number, got "${arg}"`);
+    process.exit(1);
+  }
+
+  run()
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error(error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
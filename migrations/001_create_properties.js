@@ -0,0 +1,46 @@
+// Baseline: the properties table as GET /setup-database used to create it,
+// Street View columns included. The baseline migrations are written with
+// IF NOT EXISTS throughout so a database that was set up through the old
+// endpoint can run them as-is and just start being tracked.
+// users is owned by auth-service and has to exist first.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS properties (
+        id SERIAL PRIMARY KEY,
+        address TEXT NOT NULL,
+        city VARCHAR(100) NOT NULL,
+        state VARCHAR(50) NOT NULL,
+        zip_code VARCHAR(20) NOT NULL,
+        latitude DECIMAL(10, 8),
+        longitude DECIMAL(11, 8),
+        rent_amount DECIMAL(10,2),
+        bedrooms INTEGER,
+        bathrooms DECIMAL(3,1),
+        square_feet INTEGER,
+        description TEXT,
+        landlord_id INTEGER REFERENCES users(id),
+        landlord_verified BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Older tables predate the coordinate and Street View columns.
+    await db.query(`
+      ALTER TABLE properties
+      ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 8),
+      ADD COLUMN IF NOT EXISTS longitude DECIMAL(11, 8),
+      ADD COLUMN IF NOT EXISTS street_view_heading DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS street_view_lat DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS street_view_lng DOUBLE PRECISION;
+    `);
+  },
+
+  // Irreversible: this adopts the production properties table, and
+  // review-service's reviews reference it -- rolling back to zero must not
+  // take every listing with it.
+  async down() {
+    throw new Error('Baseline migration is irreversible -- it adopts the existing properties table');
+  }
+};
@@ -0,0 +1,32 @@
+// Landlord claims on community-submitted properties, reviewed by an admin.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS property_claims (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        landlord_id INTEGER NOT NULL REFERENCES users(id),
+        evidence TEXT NOT NULL,
+        evidence_urls TEXT[] NOT NULL DEFAULT '{}',
+        description TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        reviewed_by INTEGER REFERENCES users(id),
+        reviewed_at TIMESTAMP,
+        review_notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // One open claim per landlord per property -- resubmitting after a
+    // rejection is fine, stacking duplicate pending claims isn't.
+    await db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS property_claims_one_pending
+      ON property_claims (property_id, landlord_id)
+      WHERE status = 'pending';
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS property_claims;');
+  }
+};
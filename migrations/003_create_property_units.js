@@ -0,0 +1,29 @@
+// Units inside a building. Reviews still attach to the building's
+// property_id, so a building's review stats roll up every unit's.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS property_units (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        unit_number VARCHAR(50) NOT NULL,
+        rent_amount DECIMAL(10,2),
+        bedrooms INTEGER,
+        bathrooms DECIMAL(3,1),
+        square_feet INTEGER,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS property_units_unique_number
+      ON property_units (property_id, UPPER(unit_number));
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS property_units;');
+  }
+};
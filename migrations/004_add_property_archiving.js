@@ -0,0 +1,18 @@
+// Soft delete: archived rows drop out of search but keep their reviews.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE properties
+      ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id);
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE properties
+      DROP COLUMN IF EXISTS archived_by,
+      DROP COLUMN IF EXISTS archived_at;
+    `);
+  }
+};
@@ -0,0 +1,47 @@
+const { addressKey } = require('../address');
+
+// Duplicate detection (properties.address_key) and admin merges
+// (merged_into_id redirect on the source row, property_merges audit log).
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE properties
+      ADD COLUMN IF NOT EXISTS address_key TEXT,
+      ADD COLUMN IF NOT EXISTS merged_into_id INTEGER REFERENCES properties(id);
+    `);
+
+    // Not unique -- duplicates created before address_key existed are still
+    // in the table until an admin merges them.
+    await db.query('CREATE INDEX IF NOT EXISTS properties_address_key_idx ON properties (address_key);');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS property_merges (
+        id SERIAL PRIMARY KEY,
+        source_property_id INTEGER NOT NULL REFERENCES properties(id),
+        target_property_id INTEGER NOT NULL REFERENCES properties(id),
+        reviews_moved INTEGER NOT NULL DEFAULT 0,
+        units_moved INTEGER NOT NULL DEFAULT 0,
+        kept_source_location BOOLEAN NOT NULL DEFAULT FALSE,
+        source_snapshot JSONB NOT NULL,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Normalization happens in JS (see address.js), not SQL, so existing
+    // rows have to be walked.
+    const rows = await db.query('SELECT id, address, zip_code FROM properties WHERE address_key IS NULL');
+    for (const row of rows.rows) {
+      await db.query('UPDATE properties SET address_key = $1 WHERE id = $2', [addressKey(row.address, row.zip_code), row.id]);
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS property_merges;');
+    await db.query(`
+      ALTER TABLE properties
+      DROP COLUMN IF EXISTS merged_into_id,
+      DROP COLUMN IF EXISTS address_key;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// Persistent geocoding cache (see geocodeCache.js). Negative results are
+// rows with a NULL result and is_negative = TRUE, expired on their own
+// shorter TTL.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS geocode_cache (
+        kind VARCHAR(30) NOT NULL,
+        query_key TEXT NOT NULL,
+        provider VARCHAR(30) NOT NULL,
+        result JSONB,
+        is_negative BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (kind, query_key)
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS geocode_cache;');
+  }
+};
@@ -0,0 +1,26 @@
+const { searchText } = require('../address');
+
+// Normalized search document behind GET /properties?q=, matched with
+// pg_trgm word similarity.
+module.exports = {
+  async up(db) {
+    await db.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+    await db.query('ALTER TABLE properties ADD COLUMN IF NOT EXISTS search_text TEXT;');
+    await db.query('CREATE INDEX IF NOT EXISTS properties_search_text_trgm_idx ON properties USING GIN (search_text gin_trgm_ops);');
+
+    const rows = await db.query('SELECT id, address, city, state, zip_code FROM properties WHERE search_text IS NULL');
+    for (const row of rows.rows) {
+      await db.query(
+        'UPDATE properties SET search_text = $1 WHERE id = $2',
+        [searchText(row.address, row.city, row.state, row.zip_code), row.id]
+      );
+    }
+  },
+
+  async down(db) {
+    // pg_trgm is left installed -- other database objects may have come to
+    // depend on it.
+    await db.query('DROP INDEX IF EXISTS properties_search_text_trgm_idx;');
+    await db.query('ALTER TABLE properties DROP COLUMN IF EXISTS search_text;');
+  }
+};
@@ -0,0 +1,21 @@
+// Indexes for the lookups every request path makes but the original
+// schema never had: foreign keys walked from the parent side (claims of a
+// property, a landlord's properties) and the default newest-first sort.
+// property_units is already covered by property_units_unique_number.
+module.exports = {
+  async up(db) {
+    await db.query('CREATE INDEX IF NOT EXISTS properties_landlord_id_idx ON properties (landlord_id);');
+    await db.query('CREATE INDEX IF NOT EXISTS properties_created_at_idx ON properties (created_at DESC, id DESC);');
+    await db.query('CREATE INDEX IF NOT EXISTS properties_merged_into_id_idx ON properties (merged_into_id) WHERE merged_into_id IS NOT NULL;');
+    await db.query('CREATE INDEX IF NOT EXISTS property_claims_property_id_idx ON property_claims (property_id);');
+    await db.query('CREATE INDEX IF NOT EXISTS property_claims_status_idx ON property_claims (status, created_at);');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS property_claims_status_idx;');
+    await db.query('DROP INDEX IF EXISTS property_claims_property_id_idx;');
+    await db.query('DROP INDEX IF EXISTS properties_merged_into_id_idx;');
+    await db.query('DROP INDEX IF EXISTS properties_created_at_idx;');
+    await db.query('DROP INDEX IF EXISTS properties_landlord_id_idx;');
+  }
+};
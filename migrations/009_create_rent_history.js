@@ -0,0 +1,48 @@
+// Every asking-rent change for a building (unit_id NULL) or one of its
+// units, so renters can see how a landlord's rent has moved over time.
+// properties.rent_amount / property_units.rent_amount stay the current
+// value; this is the log behind them.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS rent_history (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        unit_id INTEGER REFERENCES property_units(id) ON DELETE CASCADE,
+        rent_amount DECIMAL(10,2) NOT NULL,
+        effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        source VARCHAR(20) NOT NULL CHECK (source IN ('landlord', 'import')),
+        recorded_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Backs both the history endpoint and the "rent as of N months ago"
+    // lookup behind search's rent_change sort.
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS rent_history_listing_idx
+      ON rent_history (property_id, unit_id, effective_date DESC, id DESC);
+    `);
+
+    // Seed each existing listing with its current rent, effective from when
+    // it was listed -- the best we know about anything before this table.
+    await db.query(`
+      INSERT INTO rent_history (property_id, unit_id, rent_amount, effective_date, source, created_at)
+      SELECT p.id, NULL, p.rent_amount, COALESCE(p.created_at::date, CURRENT_DATE), 'import', NOW()
+      FROM properties p
+      WHERE p.rent_amount IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM rent_history rh WHERE rh.property_id = p.id AND rh.unit_id IS NULL);
+    `);
+    await db.query(`
+      INSERT INTO rent_history (property_id, unit_id, rent_amount, effective_date, source, created_at)
+      SELECT pu.property_id, pu.id, pu.rent_amount, COALESCE(pu.created_at::date, CURRENT_DATE), 'import', NOW()
+      FROM property_units pu
+      WHERE pu.rent_amount IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM rent_history rh WHERE rh.unit_id = pu.id);
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS rent_history;');
+  }
+};
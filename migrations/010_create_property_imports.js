@@ -0,0 +1,41 @@
+// Bulk CSV imports (POST /properties/imports). Each uploaded row is stored
+// up front and worked through in the background, so the landlord can poll
+// per-row outcomes while it runs.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS property_imports (
+        id SERIAL PRIMARY KEY,
+        landlord_id INTEGER NOT NULL REFERENCES users(id),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+        total_rows INTEGER NOT NULL,
+        error TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS property_import_rows (
+        import_id INTEGER NOT NULL REFERENCES property_imports(id) ON DELETE CASCADE,
+        row_number INTEGER NOT NULL,
+        input JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'created', 'duplicate', 'invalid', 'failed')),
+        property_id INTEGER REFERENCES properties(id),
+        unit_id INTEGER REFERENCES property_units(id) ON DELETE SET NULL,
+        existing_property_id INTEGER REFERENCES properties(id),
+        errors JSONB,
+        processed_at TIMESTAMP,
+        PRIMARY KEY (import_id, row_number)
+      );
+    `);
+
+    await db.query('CREATE INDEX IF NOT EXISTS property_imports_landlord_idx ON property_imports (landlord_id, created_at DESC);');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS property_import_rows;');
+    await db.query('DROP TABLE IF EXISTS property_imports;');
+  }
+};
@@ -0,0 +1,52 @@
+// Background job queue (see jobs.js), plus properties.geocode_status now
+// that geocoding happens after the create request returns:
+//   pending   -- a geocode job is queued or running
+//   geocoded  -- coordinates found
+//   not_found -- no provider knows the address
+//   failed    -- every retry failed; the admin backfill will try again
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        locked_at TIMESTAMP,
+        locked_by TEXT,
+        last_error TEXT,
+        progress JSONB,
+        result JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        completed_at TIMESTAMP
+      );
+    `);
+
+    // The worker's claim query: due pending jobs, and stale running ones.
+    await db.query(`CREATE INDEX IF NOT EXISTS jobs_pending_idx ON jobs (run_at, id) WHERE status = 'pending';`);
+    await db.query(`CREATE INDEX IF NOT EXISTS jobs_running_idx ON jobs (locked_at) WHERE status = 'running';`);
+    await db.query('CREATE INDEX IF NOT EXISTS jobs_type_created_idx ON jobs (type, created_at DESC);');
+
+    await db.query(`
+      ALTER TABLE properties
+      ADD COLUMN IF NOT EXISTS geocode_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (geocode_status IN ('pending', 'geocoded', 'not_found', 'failed'));
+    `);
+
+    // Rows from before the queue have no job behind them -- anything still
+    // without coordinates is left for the backfill.
+    await db.query(`
+      UPDATE properties
+      SET geocode_status = CASE WHEN latitude IS NOT NULL AND longitude IS NOT NULL THEN 'geocoded' ELSE 'failed' END;
+    `);
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE properties DROP COLUMN IF EXISTS geocode_status;');
+    await db.query('DROP TABLE IF EXISTS jobs;');
+  }
+};
@@ -0,0 +1,28 @@
+// Street View panorama metadata per property (see getStreetViewMetadata in
+// streetView.js). street_view_status is NULL until a metadata lookup has
+// run for the row -- including every row from before this column, which the
+// geocoding backfill then picks up to fill in pano_id/capture date.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE properties
+      ADD COLUMN IF NOT EXISTS street_view_status VARCHAR(20)
+        CHECK (street_view_status IN ('covered', 'no_coverage', 'error', 'not_configured')),
+      ADD COLUMN IF NOT EXISTS street_view_pano_id TEXT,
+      ADD COLUMN IF NOT EXISTS street_view_capture_date VARCHAR(10),
+      ADD COLUMN IF NOT EXISTS street_view_copyright TEXT,
+      ADD COLUMN IF NOT EXISTS street_view_checked_at TIMESTAMP;
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE properties
+      DROP COLUMN IF EXISTS street_view_checked_at,
+      DROP COLUMN IF EXISTS street_view_copyright,
+      DROP COLUMN IF EXISTS street_view_capture_date,
+      DROP COLUMN IF EXISTS street_view_pano_id,
+      DROP COLUMN IF EXISTS street_view_status;
+    `);
+  }
+};
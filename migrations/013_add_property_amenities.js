@@ -0,0 +1,26 @@
+// Amenities per property, from the controlled vocabulary in server.js
+// (AMENITIES). The CHECK keeps anything outside it from getting in through a
+// path that skips validation -- adding a term means a migration that
+// replaces the constraint, on purpose, since search filters and clients
+// key off these exact strings. The GIN index backs the @> / && filters.
+const AMENITIES = [
+  'pets_allowed', 'in_unit_laundry', 'on_site_laundry', 'parking', 'garage_parking',
+  'heat_included', 'utilities_included', 'air_conditioning', 'dishwasher', 'elevator',
+  'wheelchair_accessible', 'doorman', 'gym', 'pool', 'outdoor_space', 'furnished'
+];
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE properties
+      ADD COLUMN IF NOT EXISTS amenities TEXT[] NOT NULL DEFAULT '{}'
+        CONSTRAINT properties_amenities_vocabulary CHECK (amenities <@ ARRAY[${AMENITIES.map(a => `'${a}'`).join(', ')}]::text[]);
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS properties_amenities_idx ON properties USING GIN (amenities);');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS properties_amenities_idx;');
+    await db.query('ALTER TABLE properties DROP COLUMN IF EXISTS amenities;');
+  }
+};
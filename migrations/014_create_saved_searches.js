@@ -0,0 +1,48 @@
+// Saved searches (a user's named GET /properties filters) and the
+// notifications the periodic matcher records for them (see savedSearches.js).
+// A notification is one property that newly matched a search; the
+// property_changed_at in its unique key means the same version of a
+// property is only ever recorded once per search, while a later change to
+// it can be.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        name VARCHAR(100) NOT NULL,
+        params JSONB NOT NULL,
+        last_matched_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        CONSTRAINT saved_searches_unique_name UNIQUE (user_id, name)
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS saved_search_notifications (
+        id SERIAL PRIMARY KEY,
+        saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        reason VARCHAR(20) NOT NULL CHECK (reason IN ('new', 'updated')),
+        property_changed_at TIMESTAMP NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        sent_at TIMESTAMP,
+        CONSTRAINT saved_search_notifications_unique_change UNIQUE (saved_search_id, property_id, property_changed_at)
+      );
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS saved_search_notifications_pending_idx
+      ON saved_search_notifications (saved_search_id, id) WHERE status = 'pending';
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS saved_search_notifications;');
+    await db.query('DROP TABLE IF EXISTS saved_searches;');
+  }
+};
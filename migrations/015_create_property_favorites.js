@@ -0,0 +1,20 @@
+// Properties a user has bookmarked. Keyed on (user_id, property_id), so
+// favoriting twice is a no-op; property_favorites_property_id_idx serves the
+// is_favorited lookups and the merge, which walk it from the property side.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS property_favorites (
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, property_id)
+      );
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS property_favorites_property_id_idx ON property_favorites (property_id);');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS property_favorites;');
+  }
+};
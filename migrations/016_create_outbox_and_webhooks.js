@@ -0,0 +1,60 @@
+// Transactional outbox for property events, and the webhook subscriptions
+// they're delivered to (see outbox.js and webhooks.js).
+//
+// outbox_events rows are written in the same transaction as the change they
+// describe; dispatched_at is set once the dispatcher has fanned the event
+// out to a webhook_deliveries row per matching subscription. A delivery is
+// pending until the subscriber answers 2xx (delivered) or its retries run
+// out (dead -- the dead-letter state, redeliverable by an admin).
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS outbox_events (
+        id BIGSERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        property_id INTEGER REFERENCES properties(id),
+        payload JSONB NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        dispatched_at TIMESTAMP
+      );
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS outbox_events_undispatched_idx ON outbox_events (id) WHERE dispatched_at IS NULL;');
+
+    // event_types empty means every event type.
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        event_types TEXT[] NOT NULL DEFAULT '{}',
+        description TEXT,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id BIGINT NOT NULL REFERENCES outbox_events(id),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        delivered_at TIMESTAMP,
+        CONSTRAINT webhook_deliveries_unique_event UNIQUE (subscription_id, event_id)
+      );
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_status_idx ON webhook_deliveries (subscription_id, status, id DESC);');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS webhook_deliveries;');
+    await db.query('DROP TABLE IF EXISTS webhook_subscriptions;');
+    await db.query('DROP TABLE IF EXISTS outbox_events;');
+  }
+};
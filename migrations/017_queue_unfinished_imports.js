@@ -0,0 +1,17 @@
+// Property imports now run as property_import jobs (see propertyImports.js).
+// Imports from before that, cut off mid-run or never started, have no job
+// behind them -- queue one each so they resume at their first pending row.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      INSERT INTO jobs (type, payload)
+      SELECT 'property_import', jsonb_build_object('import_id', id)
+      FROM property_imports
+      WHERE status IN ('pending', 'processing')
+      ORDER BY id;
+    `);
+  },
+
+  // Nothing to undo -- the jobs either ran or are harmless to leave queued.
+  async down() {}
+};
@@ -0,0 +1,15 @@
+// Appends each digest as one line of JSON to SAVED_SEARCH_NOTIFIER_FILE
+// (default saved-search-notifications.log in the working directory) -- for
+// inspecting exactly what a real notifier would have been sent.
+const fs = require('fs/promises');
+const path = require('path');
+
+const NOTIFIER_FILE = path.resolve(process.env.SAVED_SEARCH_NOTIFIER_FILE || 'saved-search-notifications.log');
+
+module.exports = {
+  name: 'file',
+
+  async notify(digest) {
+    await fs.appendFile(NOTIFIER_FILE, `${JSON.stringify({ sent_at: new Date().toISOString(), ...digest })}\n`);
+  }
+};
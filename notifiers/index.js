@@ -0,0 +1,45 @@
+// Saved-search notification delivery. The matcher (savedSearches.js) hands
+// the configured notifier one digest per saved search with new matches:
+//
+//   {
+//     user: { id, email, first_name },
+//     saved_search: { id, name },
+//     properties: [ { id, address, city, state, zip_code, rent_amount,
+//                     bedrooms, bathrooms, reason: 'new' | 'updated' } ]
+//   }
+//
+// A notifier is an object with:
+//   name              -- used in logs
+//   notify(digest)    -- resolves once delivered; rejects on failure, which
+//                        leaves the notifications pending for the next run
+//
+// SAVED_SEARCH_NOTIFIER picks one: a built-in name (log, file) or a path
+// (starting with "." or "/", resolved from the working directory) to a
+// module exporting a notifier -- how an email or push service plugs in,
+// same convention as the GEOCODER_*_CHAIN providers.
+const path = require('path');
+
+const BUILT_IN_NOTIFIERS = {
+  log: require('./log'),
+  file: require('./file')
+};
+
+function loadNotifier(entry) {
+  if (BUILT_IN_NOTIFIERS[entry]) return BUILT_IN_NOTIFIERS[entry];
+
+  if (entry.startsWith('.') || entry.startsWith('/')) {
+    const notifier = require(path.resolve(entry));
+    if (!notifier || typeof notifier.notify !== 'function') {
+      throw new Error(`Notifier module ${entry} must export a notify() function`);
+    }
+    return { name: entry, ...notifier };
+  }
+
+  // Thrown at startup, deliberately -- a typo'd notifier would otherwise
+  // just look like nobody ever getting notified.
+  throw new Error(`Unknown notifier "${entry}"`);
+}
+
+const notifier = loadNotifier((process.env.SAVED_SEARCH_NOTIFIER || 'log').trim());
+
+module.exports = { notifier };
@@ -0,0 +1,11 @@
+// Default notifier for local development: writes each digest to stdout.
+module.exports = {
+  name: 'log',
+
+  async notify({ user, saved_search: savedSearch, properties }) {
+    console.log(
+      `[saved search] user ${user.id}: ${properties.length} match(es) for "${savedSearch.name}" (#${savedSearch.id})`,
+      properties.map(property => `${property.reason} #${property.id} ${property.address}, ${property.city}`).join('; ')
+    );
+  }
+};
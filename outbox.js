@@ -0,0 +1,74 @@
+// Transactional outbox for property events. Anything that changes a
+// property in a way other services care about records an event here on the
+// same client, inside the same transaction as the change -- so an event
+// exists if and only if the change committed, and nobody has to poll for
+// it. The webhook dispatcher (webhooks.js) picks events up from there.
+//
+// Event types:
+//   property.created   -- POST /properties, /properties/community, CSV imports
+//   property.updated   -- PUT/PATCH /properties/:id, archive/restore, and any
+//                         unit added, edited or deleted (data.changed_fields)
+//   property.geocoded  -- the geocode job found new coordinates/Street View data
+//   property.claimed   -- an admin approved a landlord's claim
+//   property.merged    -- an admin merged a duplicate into this property
+const PROPERTY_EVENT_TYPES = [
+  'property.created',
+  'property.updated',
+  'property.geocoded',
+  'property.claimed',
+  'property.merged'
+];
+
+// What every event carries about the property: the public listing fields,
+// never the landlord's contact details.
+function propertySnapshot(property) {
+  return {
+    id: property.id,
+    address: property.address,
+    city: property.city,
+    state: property.state,
+    zip_code: property.zip_code,
+    latitude: property.latitude != null ? parseFloat(property.latitude) : null,
+    longitude: property.longitude != null ? parseFloat(property.longitude) : null,
+    geocode_status: property.geocode_status,
+    street_view_status: property.street_view_status ?? null,
+    rent_amount: property.rent_amount != null ? parseFloat(property.rent_amount) : null,
+    bedrooms: property.bedrooms,
+    bathrooms: property.bathrooms != null ? parseFloat(property.bathrooms) : null,
+    square_feet: property.square_feet,
+    amenities: property.amenities ?? [],
+    landlord_id: property.landlord_id,
+    landlord_verified: property.landlord_verified,
+    archived_at: property.archived_at ?? null,
+    updated_at: property.updated_at
+  };
+}
+
+// Records one event. `db` is the transaction's client; `data` is merged
+// into the payload next to the property snapshot.
+async function recordPropertyEvent(db, type, property, data = {}) {
+  if (!PROPERTY_EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown property event type "${type}"`);
+  }
+
+  await db.query(
+    'INSERT INTO outbox_events (type, property_id, payload) VALUES ($1, $2, $3)',
+    [type, property.id, JSON.stringify({ property: propertySnapshot(property), ...data })]
+  );
+}
+
+// Unit changes go out as property.updated on their building, with
+// changed_fields ['units'] and which unit changed how ('created', 'updated'
+// or 'deleted'). The snapshot is read on `db` so it's the building as the
+// transaction sees it.
+async function recordUnitEvent(db, propertyId, unitId, unitChange, data = {}) {
+  const result = await db.query('SELECT * FROM properties WHERE id = $1', [propertyId]);
+  await recordPropertyEvent(db, 'property.updated', result.rows[0], {
+    changed_fields: ['units'],
+    unit_id: unitId,
+    unit_change: unitChange,
+    ...data
+  });
+}
+
+module.exports = { PROPERTY_EVENT_TYPES, recordPropertyEvent, recordUnitEvent };
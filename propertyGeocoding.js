@@ -0,0 +1,218 @@
+// Geocoding and Street View resolution for saved properties. Runs as
+// background jobs (see jobs.js) instead of inside the requests that create
+// a property or change its address -- with Google unconfigured a lookup can
+// sit in the 1 req/sec Nominatim queue for seconds, which nobody should
+// have to wait on to save a form.
+const { pool } = require('./db');
+const { geocodeAddress } = require('./geocode');
+const { getStreetViewMetadata } = require('./streetView');
+const { enqueueJob, requeue } = require('./jobs');
+const { recordPropertyEvent } = require('./outbox');
+
+const GEOCODE_PROPERTY_JOB = 'geocode_property';
+const GEOCODE_BACKFILL_JOB = 'geocode_backfill';
+
+// Properties per backfill slice before the job requeues itself and lets
+// per-property geocodes for newly created rows go first.
+const BACKFILL_SLICE_SIZE = 25;
+
+// Confirmed no_coverage results are trusted this long before the backfill
+// asks Google again -- coverage does expand, just not often.
+const STREET_VIEW_RECHECK_DAYS = parseFloat(process.env.STREET_VIEW_RECHECK_DAYS ?? '180');
+
+// What the backfill considers unfinished: missing coordinates, or Street
+// View metadata that was never looked up (street_view_status NULL, which
+// covers every row from before it was tracked -- including old rows with a
+// heading but no panorama lat/lng, which still point their Static/Embed
+// image requests at the raw property coordinates instead of the confirmed
+// panorama, exactly the mismatch that could silently render as "no
+// imagery"), failed, or couldn't run for lack of a key. no_coverage rows are
+// skipped until STREET_VIEW_RECHECK_DAYS have passed.
+const NEEDS_BACKFILL_CONDITION = `
+  archived_at IS NULL
+  AND (latitude IS NULL OR longitude IS NULL
+    OR street_view_status IS NULL
+    OR street_view_status IN ('error', 'not_configured')
+    OR (street_view_status = 'no_coverage'
+      AND street_view_checked_at < NOW() - ${STREET_VIEW_RECHECK_DAYS} * INTERVAL '1 day'))
+`;
+
+// Queues a geocode for a property whose geocode_status was just set to
+// pending. Call it on the same client as the INSERT/UPDATE, inside its
+// transaction, so a committed pending row always has a job behind it.
+async function enqueuePropertyGeocode(db, propertyId) {
+  return enqueueJob(db, GEOCODE_PROPERTY_JOB, { property_id: propertyId });
+}
+
+// Writes a result only if the address is still the one that was geocoded --
+// an edit while the job ran queued its own job, which owns the row now.
+// New coordinates count as a change (updated_at), so saved searches near a
+// point pick up a property once it has a location; a Street View re-check
+// on its own doesn't. A property.geocoded event goes out, in the same
+// transaction, when the coordinates or the Street View coverage changed --
+// not for every backfill pass that confirms what was already there.
+async function saveLocation(property, location) {
+  const streetView = location.street_view || {};
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const currentResult = await client.query(
+      `SELECT latitude, longitude, street_view_status FROM properties
+       WHERE id = $1 AND search_text IS NOT DISTINCT FROM $2
+       FOR UPDATE`,
+      [property.id, property.search_text]
+    );
+    const current = currentResult.rows[0];
+    if (!current) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const result = await client.query(
+      `UPDATE properties
+       SET latitude = $1, longitude = $2, street_view_heading = $3, street_view_lat = $4, street_view_lng = $5,
+           street_view_status = $6, street_view_pano_id = $7, street_view_capture_date = $8,
+           street_view_copyright = $9, street_view_checked_at = CASE WHEN $6::text IS NULL THEN NULL ELSE NOW() END,
+           geocode_status = $10,
+           updated_at = CASE
+             WHEN latitude IS DISTINCT FROM $1 OR longitude IS DISTINCT FROM $2 THEN NOW()
+             ELSE updated_at
+           END
+       WHERE id = $11
+       RETURNING *`,
+      [location.latitude, location.longitude, streetView.heading ?? null, streetView.lat ?? null,
+        streetView.lng ?? null, streetView.status ?? null, streetView.pano_id ?? null, streetView.capture_date ?? null,
+        streetView.copyright ?? null, location.geocode_status, property.id]
+    );
+    const saved = result.rows[0];
+
+    const changed = saved.latitude !== current.latitude
+      || saved.longitude !== current.longitude
+      || saved.street_view_status !== current.street_view_status;
+    if (saved.geocode_status === 'geocoded' && changed) {
+      await recordPropertyEvent(client, 'property.geocoded', saved);
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Resolves coordinates (only when missing -- each lookup costs a Google
+// request or a Nominatim slot) and then the Street View metadata. Returns
+// { latitude, longitude, geocode_status, street_view }; throws when the
+// geocode failed outright and is worth retrying. A Street View error isn't
+// retried here -- the coordinates are still worth saving, and the backfill
+// picks up street_view_status 'error' rows.
+async function resolveLocation(property) {
+  let { latitude, longitude } = property;
+
+  if (latitude == null || longitude == null) {
+    const geocoded = await geocodeAddress(property.address, property.city, property.state, property.zip_code);
+    if (!geocoded.success) {
+      if (geocoded.retryable) throw new Error(geocoded.reason);
+      return { latitude: null, longitude: null, geocode_status: 'not_found', street_view: null };
+    }
+    latitude = geocoded.latitude;
+    longitude = geocoded.longitude;
+  }
+
+  return {
+    latitude,
+    longitude,
+    geocode_status: 'geocoded',
+    street_view: await getStreetViewMetadata(latitude, longitude)
+  };
+}
+
+const PROPERTY_COLUMNS = 'id, address, city, state, zip_code, search_text, latitude, longitude, merged_into_id';
+
+// geocode_property: one property, queued on create or address change.
+// Coordinates are always looked up fresh -- an address change nulls them.
+const geocodePropertyHandler = {
+  async run({ property_id: propertyId }) {
+    const result = await pool.query(`SELECT ${PROPERTY_COLUMNS} FROM properties WHERE id = $1`, [propertyId]);
+    const property = result.rows[0];
+    if (!property || property.merged_into_id) return { skipped: true };
+
+    const location = await resolveLocation(property);
+    const saved = await saveLocation(property, location);
+    return {
+      geocode_status: location.geocode_status,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      street_view_status: location.street_view?.status ?? null,
+      saved
+    };
+  },
+
+  // Out of retries -- leave it for the admin backfill rather than "pending" forever.
+  async onFailed({ property_id: propertyId }) {
+    await pool.query(
+      "UPDATE properties SET geocode_status = 'failed' WHERE id = $1 AND geocode_status = 'pending'",
+      [propertyId]
+    );
+  }
+};
+
+// geocode_backfill: every unarchived property that NEEDS_BACKFILL_CONDITION
+// matches, walked in id order a slice at a time. Progress (the id cursor and
+// running counts) lives on the job, so admins can watch it and a restarted
+// worker picks up where the last one stopped. Per-property failures are
+// counted and skipped, not retried -- the next backfill gets them.
+const geocodeBackfillHandler = {
+  async run(payload, { job, reportProgress }) {
+    const progress = job.progress || { last_id: 0, total: null, processed: 0, geocoded: 0, not_found: 0, failed: 0 };
+
+    if (progress.total === null) {
+      const totalResult = await pool.query(`SELECT COUNT(*) AS count FROM properties WHERE ${NEEDS_BACKFILL_CONDITION}`);
+      progress.total = parseInt(totalResult.rows[0].count);
+    }
+
+    const batch = await pool.query(
+      `SELECT ${PROPERTY_COLUMNS} FROM properties
+       WHERE ${NEEDS_BACKFILL_CONDITION} AND id > $1
+       ORDER BY id
+       LIMIT ${BACKFILL_SLICE_SIZE}`,
+      [progress.last_id]
+    );
+
+    if (batch.rows.length === 0) {
+      const remainingResult = await pool.query(`SELECT COUNT(*) AS count FROM properties WHERE ${NEEDS_BACKFILL_CONDITION}`);
+      return { ...progress, remaining: parseInt(remainingResult.rows[0].count) };
+    }
+
+    for (const property of batch.rows) {
+      try {
+        const location = await resolveLocation(property);
+        await saveLocation(property, location);
+        progress[location.geocode_status === 'geocoded' ? 'geocoded' : 'not_found']++;
+      } catch (error) {
+        console.error(`Failed to geocode property ${property.id}:`, error.message);
+        await pool.query(
+          "UPDATE properties SET geocode_status = 'failed' WHERE id = $1 AND latitude IS NULL",
+          [property.id]
+        );
+        progress.failed++;
+      }
+      progress.processed++;
+      progress.last_id = property.id;
+      await reportProgress(progress);
+    }
+
+    return requeue(progress);
+  }
+};
+
+const geocodingJobHandlers = {
+  [GEOCODE_PROPERTY_JOB]: geocodePropertyHandler,
+  [GEOCODE_BACKFILL_JOB]: geocodeBackfillHandler
+};
+
+module.exports = { enqueuePropertyGeocode, geocodingJobHandlers, GEOCODE_BACKFILL_JOB };
@@ -0,0 +1,194 @@
+// Bulk CSV imports (POST /properties/imports) as a background job. The
+// upload stores every row and queues a property_import job in the same
+// transaction; the job works through the pending rows a slice at a time,
+// requeueing itself in between (see requeue() in jobs.js), so other jobs
+// aren't starved and an import cut off by a restart or deploy picks up at
+// its first unprocessed row once the job's lock goes stale.
+const { pool } = require('./db');
+const { splitUnitFromAddress, addressKey, searchText } = require('./address');
+const { createPropertySchema, recordRentChange, insertUnit } = require('./propertyRecords');
+const { enqueuePropertyGeocode } = require('./propertyGeocoding');
+const { recordPropertyEvent, recordUnitEvent } = require('./outbox');
+const { enqueueJob, requeue } = require('./jobs');
+
+const PROPERTY_IMPORT_JOB = 'property_import';
+
+// Rows per slice before the job requeues itself.
+const IMPORT_SLICE_SIZE = 25;
+
+// Queues processing for an import whose rows were just stored. Call it on
+// the same client, inside the same transaction, so a committed import
+// always has a job behind it.
+async function enqueuePropertyImport(db, importId) {
+  return enqueueJob(db, PROPERTY_IMPORT_JOB, { import_id: importId });
+}
+
+// Creates (or dedupes) one validated import row, with the same rules as
+// POST /properties. Returns the row's outcome.
+async function importPropertyRow(landlordId, value) {
+  const { street: address, unit: parsedUnit } = splitUnitFromAddress(value.address);
+  const { city, state, zip_code, rent_amount, bedrooms, bathrooms, square_feet, description, amenities, rent_effective_date } = value;
+  const unitNumber = value.unit_number || parsedUnit;
+  const unitDetails = unitNumber
+    ? { unit_number: unitNumber, rent_amount, bedrooms, bathrooms, square_feet, description, rent_effective_date }
+    : null;
+  const importOptions = { source: 'import', recordedBy: landlordId };
+
+  const key = addressKey(address, zip_code);
+  const duplicateCheck = await pool.query(
+    'SELECT id, landlord_id, archived_at FROM properties WHERE address_key = $1 AND merged_into_id IS NULL ORDER BY id LIMIT 1',
+    [key]
+  );
+  const existing = duplicateCheck.rows[0];
+
+  if (existing && existing.landlord_id === null) {
+    return { status: 'duplicate', existing_property_id: existing.id, errors: ['A property with this address and zip code already exists and has no landlord -- claim it first'] };
+  }
+
+  if (existing && unitDetails && existing.landlord_id === landlordId) {
+    if (existing.archived_at) {
+      return { status: 'duplicate', existing_property_id: existing.id, errors: ['This property is archived -- restore it before adding units'] };
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const unit = await insertUnit(client, existing.id, unitDetails, importOptions);
+      await recordUnitEvent(client, existing.id, unit.id, 'created', { source: 'import' });
+      await client.query('COMMIT');
+      return { status: 'created', property_id: existing.id, unit_id: unit.id };
+    } catch (unitErr) {
+      await client.query('ROLLBACK');
+      if (unitErr.code === '23505') { // Unique violation -- property_units_unique_number
+        return { status: 'duplicate', existing_property_id: existing.id, errors: ['This unit already exists at this address'] };
+      }
+      throw unitErr;
+    } finally {
+      client.release();
+    }
+  }
+
+  if (existing) {
+    return { status: 'duplicate', existing_property_id: existing.id, errors: ['A property with this address and zip code already exists'] };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO properties (
+         address, city, state, zip_code, address_key, search_text, rent_amount,
+         bedrooms, bathrooms, square_feet, description, landlord_id, amenities
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [address, city, state, zip_code, key, searchText(address, city, state, zip_code),
+        unitDetails ? null : rent_amount ?? null,
+        unitDetails ? null : bedrooms ?? null,
+        unitDetails ? null : bathrooms ?? null,
+        unitDetails ? null : square_feet ?? null,
+        unitDetails ? null : description ?? null,
+        landlordId,
+        amenities ?? []]
+    );
+    const property = result.rows[0];
+
+    const unit = unitDetails ? await insertUnit(client, property.id, unitDetails, importOptions) : null;
+    if (property.rent_amount != null) {
+      await recordRentChange(client, {
+        propertyId: property.id,
+        rentAmount: property.rent_amount,
+        effectiveDate: rent_effective_date ?? null,
+        ...importOptions
+      });
+    }
+
+    await enqueuePropertyGeocode(client, property.id);
+    await recordPropertyEvent(client, 'property.created', property, { source: 'import' });
+    await client.query('COMMIT');
+    return { status: 'created', property_id: property.id, unit_id: unit?.id ?? null };
+  } catch (insertErr) {
+    await client.query('ROLLBACK');
+    throw insertErr;
+  } finally {
+    client.release();
+  }
+}
+
+// Validates and imports one stored row and records its outcome. A failure
+// creating the row is that row's outcome, not the import's.
+async function processImportRow(importId, landlordId, row) {
+  let outcome;
+  const { error, value } = createPropertySchema.validate(row.input, { abortEarly: false });
+  if (error) {
+    outcome = { status: 'invalid', errors: error.details.map(detail => detail.message) };
+  } else {
+    try {
+      outcome = await importPropertyRow(landlordId, value);
+    } catch (rowError) {
+      console.error(`Property import ${importId}, row ${row.row_number} failed:`, rowError);
+      outcome = { status: 'failed', errors: ['Failed to create this row'] };
+    }
+  }
+
+  await pool.query(
+    `UPDATE property_import_rows
+     SET status = $3, property_id = $4, unit_id = $5, existing_property_id = $6, errors = $7, processed_at = NOW()
+     WHERE import_id = $1 AND row_number = $2`,
+    [importId, row.row_number, outcome.status, outcome.property_id ?? null, outcome.unit_id ?? null,
+      outcome.existing_property_id ?? null, outcome.errors ? JSON.stringify(outcome.errors) : null]
+  );
+}
+
+// Works through the import's pending rows in file order (so a later row
+// sees the buildings earlier rows created). A row whose property committed
+// but whose outcome didn't (the worker died in between) is retried on
+// resume and comes back as a duplicate of what it created.
+const propertyImportHandler = {
+  async run({ import_id: importId }, { job }) {
+    const started = await pool.query(
+      `UPDATE property_imports SET status = 'processing', started_at = COALESCE(started_at, NOW())
+       WHERE id = $1 AND status IN ('pending', 'processing')
+       RETURNING landlord_id`,
+      [importId]
+    );
+    if (started.rows.length === 0) return { import_id: importId, skipped: true };
+
+    const landlordId = started.rows[0].landlord_id;
+    const rows = await pool.query(
+      `SELECT row_number, input FROM property_import_rows
+       WHERE import_id = $1 AND status = 'pending'
+       ORDER BY row_number
+       LIMIT $2`,
+      [importId, IMPORT_SLICE_SIZE]
+    );
+
+    for (const row of rows.rows) {
+      await processImportRow(importId, landlordId, row);
+    }
+
+    const progress = { import_id: importId, processed: (job.progress?.processed ?? 0) + rows.rows.length };
+    if (rows.rows.length === IMPORT_SLICE_SIZE) return requeue(progress);
+
+    await pool.query(
+      "UPDATE property_imports SET status = 'completed', completed_at = NOW() WHERE id = $1",
+      [importId]
+    );
+    return progress;
+  },
+
+  // Out of retries (the database kept failing under it) -- rows already
+  // processed keep their outcomes, the rest stay pending.
+  async onFailed({ import_id: importId }, { error }) {
+    await pool.query(
+      `UPDATE property_imports SET status = 'failed', error = $2, completed_at = NOW()
+       WHERE id = $1 AND status IN ('pending', 'processing')`,
+      [importId, error.message]
+    );
+  }
+};
+
+const propertyImportJobHandlers = {
+  [PROPERTY_IMPORT_JOB]: propertyImportHandler
+};
+
+module.exports = { enqueuePropertyImport, propertyImportJobHandlers };
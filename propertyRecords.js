@@ -0,0 +1,83 @@
+// Property validation and write helpers shared by the API (server.js) and
+// the background CSV import job (propertyImports.js), so a row from a
+// spreadsheet goes through exactly what POST /properties does.
+const Joi = require('joi');
+
+// Controlled amenities vocabulary -- what renters actually filter on. Stored
+// per property (building), not per unit. Adding a term also needs a
+// migration replacing the properties_amenities_vocabulary constraint (see
+// migrations/013_add_property_amenities.js).
+const AMENITIES = [
+  'pets_allowed', 'in_unit_laundry', 'on_site_laundry', 'parking', 'garage_parking',
+  'heat_included', 'utilities_included', 'air_conditioning', 'dishwasher', 'elevator',
+  'wheelchair_accessible', 'doorman', 'gym', 'pool', 'outdoor_space', 'furnished'
+];
+
+// Validation schema for property creation — landlord_id is no longer accepted
+// from the client; it's derived from the authenticated user's token.
+const createPropertySchema = Joi.object({
+  address: Joi.string().required().min(5).max(500),
+  city: Joi.string().required().min(2).max(100),
+  state: Joi.string().required().min(2).max(50),
+  zip_code: Joi.string().required().pattern(/^\d{5}(-\d{4})?$/), // US zip code format
+  rent_amount: Joi.number().positive().precision(2).max(50000), // Max $50k rent
+  bedrooms: Joi.number().integer().min(0).max(20),
+  bathrooms: Joi.number().positive().precision(1).max(20),
+  square_feet: Joi.number().integer().positive().max(50000),
+  description: Joi.string().max(2000),
+  // The full set -- on update it replaces what's stored ([] clears it).
+  amenities: Joi.array().items(Joi.string().valid(...AMENITIES)).unique(),
+  // See communityPropertySchema (server.js). When a unit is given, the listing details
+  // above (rent, bedrooms, ...) belong to the unit, not the building.
+  unit_number: Joi.string().trim().max(50),
+  // When rent_amount took effect, for the rent history -- defaults to today.
+  // Backdating is allowed (a lease signed last month); future dates aren't,
+  // since rent_amount itself changes immediately.
+  rent_effective_date: Joi.date().iso().max('now').raw()
+}).with('rent_effective_date', 'rent_amount');
+
+// Appends one entry to rent_history. unitId is null for a building-level
+// rent; effectiveDate defaults to today. source is 'landlord' for anything
+// entered through the API and 'import' for bulk-loaded data.
+async function recordRentChange(db, { propertyId, unitId = null, rentAmount, effectiveDate = null, source = 'landlord', recordedBy = null }) {
+  await db.query(
+    `INSERT INTO rent_history (property_id, unit_id, rent_amount, effective_date, source, recorded_by)
+     VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6)`,
+    [propertyId, unitId, rentAmount, effectiveDate, source, recordedBy]
+  );
+}
+
+// True when an update actually moves the rent -- the edit forms send every
+// field back, and DECIMAL columns come out of pg as strings.
+function rentChanged(newRent, currentRent) {
+  return newRent !== undefined && (currentRent == null || Number(newRent) !== Number(currentRent));
+}
+
+// Inserts one unit row under a building (and its opening rent_history entry,
+// when it has a rent). Two statements -- run it on a client inside the
+// caller's transaction so a unit never lands without its rent history.
+async function insertUnit(db, propertyId, unit, { source = 'landlord', recordedBy = null } = {}) {
+  const result = await db.query(
+    `INSERT INTO property_units (property_id, unit_number, rent_amount, bedrooms, bathrooms, square_feet, description)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [propertyId, unit.unit_number, unit.rent_amount ?? null, unit.bedrooms ?? null,
+      unit.bathrooms ?? null, unit.square_feet ?? null, unit.description ?? null]
+  );
+  const inserted = result.rows[0];
+
+  if (inserted.rent_amount != null) {
+    await recordRentChange(db, {
+      propertyId,
+      unitId: inserted.id,
+      rentAmount: inserted.rent_amount,
+      effectiveDate: unit.rent_effective_date ?? null,
+      source,
+      recordedBy
+    });
+  }
+
+  return inserted;
+}
+
+module.exports = { AMENITIES, createPropertySchema, recordRentChange, rentChanged, insertUnit };
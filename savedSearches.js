@@ -0,0 +1,181 @@
+// Saved-search matching. A recurring job (saved_search_match) checks every
+// saved search for properties created or changed since its last run,
+// records each one as a pending notification, then delivers whatever is
+// pending through the configured notifier (see notifiers/), one digest per
+// search. enqueueUniqueJob keeps exactly one of these in the queue; each run
+// requeues itself SAVED_SEARCH_MATCH_INTERVAL_MINUTES out.
+const { pool } = require('./db');
+const { buildSearchFilters } = require('./searchFilters');
+const { enqueueUniqueJob, requeue } = require('./jobs');
+const { notifier } = require('./notifiers');
+
+const SAVED_SEARCH_MATCH_JOB = 'saved_search_match';
+
+const MATCH_INTERVAL_MINUTES = parseFloat(process.env.SAVED_SEARCH_MATCH_INTERVAL_MINUTES ?? '60');
+
+// Per search per run, newest changes first -- a search broad enough to
+// match more than this is a firehose, not an alert.
+const MAX_MATCHES_PER_RUN = 50;
+
+// A change timestamped just before a run's cutoff can commit just after
+// the run looked, so each window reaches back this far past the previous
+// cutoff. The notifications' unique key makes the overlap harmless.
+const MATCH_OVERLAP_SECONDS = 120;
+
+// Delivery attempts (one per run) before a notification is marked failed.
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// When a property last changed, counting its units -- a price cut on one
+// apartment is news to a search that matched the building.
+const CHANGED_AT_EXPR = `GREATEST(p.created_at, p.updated_at,
+  (SELECT MAX(lu.updated_at) FROM property_units lu WHERE lu.property_id = p.id))`;
+
+// Records the search's matches that changed after its last run (or its
+// creation) and up to `until`. Always matched as buildings -- notifications
+// are per property -- and never against archived properties. Returns the
+// number of notifications recorded.
+async function matchSavedSearch(search, until) {
+  const { whereConditions, queryParams } = buildSearchFilters({
+    ...search.params,
+    result_type: 'buildings',
+    include_archived: false
+  });
+
+  const searchIdParam = queryParams.length + 1;
+  const sinceParam = queryParams.length + 2;
+  const untilParam = queryParams.length + 3;
+  const overlapParam = queryParams.length + 4;
+
+  const result = await pool.query(
+    `INSERT INTO saved_search_notifications (saved_search_id, property_id, reason, property_changed_at)
+     SELECT $${searchIdParam}, matches.id,
+       CASE WHEN matches.created_at > $${sinceParam} THEN 'new' ELSE 'updated' END,
+       matches.changed_at
+     FROM (
+       SELECT p.id, p.created_at, ${CHANGED_AT_EXPR} AS changed_at
+       FROM properties p
+       WHERE ${whereConditions.join(' AND ')}
+     ) matches
+     WHERE matches.changed_at > $${sinceParam}::timestamp - $${overlapParam} * INTERVAL '1 second'
+       AND matches.changed_at <= $${untilParam}
+     ORDER BY matches.changed_at DESC
+     LIMIT ${MAX_MATCHES_PER_RUN}
+     ON CONFLICT ON CONSTRAINT saved_search_notifications_unique_change DO NOTHING`,
+    [...queryParams, search.id, search.last_matched_at || search.created_at, until, MATCH_OVERLAP_SECONDS]
+  );
+
+  await pool.query('UPDATE saved_searches SET last_matched_at = $2 WHERE id = $1', [search.id, until]);
+  return result.rowCount;
+}
+
+// Sends one digest per saved search with pending notifications. A failed
+// send leaves that search's notifications pending for the next run, until
+// MAX_DELIVERY_ATTEMPTS. Returns { sent, failed } digest counts.
+async function deliverPendingNotifications() {
+  const pending = await pool.query(
+    `SELECT n.id, n.saved_search_id, n.reason, s.name AS saved_search_name, s.user_id, u.email, u.first_name,
+            p.id AS property_id, p.address, p.city, p.state, p.zip_code, p.rent_amount, p.bedrooms, p.bathrooms
+     FROM saved_search_notifications n
+     JOIN saved_searches s ON s.id = n.saved_search_id
+     JOIN users u ON u.id = s.user_id
+     JOIN properties p ON p.id = n.property_id
+     WHERE n.status = 'pending'
+     ORDER BY n.saved_search_id, n.id`
+  );
+
+  const bySearch = new Map();
+  for (const row of pending.rows) {
+    if (!bySearch.has(row.saved_search_id)) bySearch.set(row.saved_search_id, []);
+    bySearch.get(row.saved_search_id).push(row);
+  }
+
+  const counts = { sent: 0, failed: 0 };
+  for (const [savedSearchId, rows] of bySearch) {
+    const notificationIds = rows.map(row => row.id);
+    const digest = {
+      user: { id: rows[0].user_id, email: rows[0].email, first_name: rows[0].first_name },
+      saved_search: { id: savedSearchId, name: rows[0].saved_search_name },
+      properties: rows.map(row => ({
+        id: row.property_id,
+        address: row.address,
+        city: row.city,
+        state: row.state,
+        zip_code: row.zip_code,
+        rent_amount: row.rent_amount != null ? parseFloat(row.rent_amount) : null,
+        bedrooms: row.bedrooms,
+        bathrooms: row.bathrooms != null ? parseFloat(row.bathrooms) : null,
+        reason: row.reason
+      }))
+    };
+
+    try {
+      await notifier.notify(digest);
+      await pool.query(
+        `UPDATE saved_search_notifications
+         SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = NOW()
+         WHERE id = ANY($1)`,
+        [notificationIds]
+      );
+      counts.sent++;
+    } catch (error) {
+      console.error(`Notifier ${notifier.name} failed for saved search ${savedSearchId}:`, error.message);
+      await pool.query(
+        `UPDATE saved_search_notifications
+         SET attempts = attempts + 1, last_error = $2,
+             status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE 'pending' END
+         WHERE id = ANY($1)`,
+        [notificationIds, error.message, MAX_DELIVERY_ATTEMPTS]
+      );
+      counts.failed++;
+    }
+  }
+
+  return counts;
+}
+
+// Puts the matcher in the queue unless it's already there. Called by every
+// worker at startup; delaySeconds pushes the first run out.
+async function scheduleSavedSearchMatcher({ delaySeconds = 0 } = {}) {
+  return enqueueUniqueJob(SAVED_SEARCH_MATCH_JOB, {}, {
+    runAt: delaySeconds > 0 ? new Date(Date.now() + delaySeconds * 1000) : null
+  });
+}
+
+// One search that fails to match (say, params saved before a filter's
+// meaning changed) is logged and skipped -- its last_matched_at stays put,
+// so the next run covers the window again.
+const savedSearchMatchHandler = {
+  async run(payload, { reportProgress }) {
+    const untilResult = await pool.query('SELECT NOW() AS now');
+    const until = untilResult.rows[0].now;
+
+    const searches = await pool.query('SELECT id, params, last_matched_at, created_at FROM saved_searches ORDER BY id');
+    const progress = { run_started_at: until, searches: searches.rows.length, matched: 0, match_errors: 0 };
+
+    for (const search of searches.rows) {
+      try {
+        progress.matched += await matchSavedSearch(search, until);
+      } catch (error) {
+        console.error(`Saved search ${search.id} failed to match:`, error.message);
+        progress.match_errors++;
+      }
+      await reportProgress(progress);
+    }
+
+    const delivery = await deliverPendingNotifications();
+    return requeue({ ...progress, digests_sent: delivery.sent, digests_failed: delivery.failed },
+      { delaySeconds: MATCH_INTERVAL_MINUTES * 60 });
+  },
+
+  // Out of retries -- the recurring job is gone, so start a fresh one
+  // rather than leave saved searches silently unmatched.
+  async onFailed() {
+    await scheduleSavedSearchMatcher({ delaySeconds: MATCH_INTERVAL_MINUTES * 60 });
+  }
+};
+
+const savedSearchJobHandlers = {
+  [SAVED_SEARCH_MATCH_JOB]: savedSearchMatchHandler
+};
+
+module.exports = { savedSearchJobHandlers, scheduleSavedSearchMatcher };
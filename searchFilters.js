@@ -0,0 +1,160 @@
+// The SQL side of the GET /properties search filters, shared by every
+// endpoint that accepts them and by the saved-search matcher (which runs in
+// the job worker, outside server.js). Validation stays with
+// searchPropertiesSchema in server.js; this only ever sees validated values.
+const { searchQueryText } = require('./address');
+
+// Turns validated searchPropertiesSchema values into WHERE conditions over
+// properties p (and property_units pu, in units mode) plus their params.
+// Shared by every endpoint that accepts the search filters, so "the same
+// filters" really means the same SQL. Every returned param is referenced
+// by whereConditions -- callers add their own SELECT/ORDER BY/LIMIT params
+// after these, starting at queryParams.length + 1. favoritedBy (a user id)
+// narrows the matches to that user's favorites, for GET /favorites.
+function buildSearchFilters(value, { requireCoordinates = false, favoritedBy = null } = {}) {
+  const {
+    q,
+    city,
+    state,
+    zip_code,
+    min_rent,
+    max_rent,
+    min_bedrooms,
+    max_bedrooms,
+    min_bathrooms,
+    max_bathrooms,
+    min_sqft,
+    max_sqft,
+    landlord_verified,
+    amenities,
+    amenities_any,
+    include_archived,
+    lat,
+    lng,
+    result_type,
+    bbox
+  } = value;
+
+  const whereConditions = [];
+  const queryParams = [];
+  let paramCount = 0;
+
+  // Merged-away duplicates are archived too, but never live -- not even
+  // with include_archived; they redirect to the survivor.
+  whereConditions.push('p.merged_into_id IS NULL');
+  if (!include_archived) {
+    whereConditions.push('p.archived_at IS NULL');
+  }
+
+  if (favoritedBy !== null) {
+    paramCount++;
+    whereConditions.push(`EXISTS (SELECT 1 FROM property_favorites f WHERE f.property_id = p.id AND f.user_id = $${paramCount})`);
+    queryParams.push(favoritedBy);
+  }
+
+  if ((lat !== undefined && lng !== undefined) || requireCoordinates) {
+    // No placeholders needed -- shared by both the search and count
+    // queries, unlike the distance values themselves (see the search route).
+    whereConditions.push('p.latitude IS NOT NULL AND p.longitude IS NOT NULL');
+  }
+
+  if (bbox) {
+    paramCount += 4;
+    const [minLngParam, minLatParam, maxLngParam, maxLatParam] = [paramCount - 3, paramCount - 2, paramCount - 1, paramCount];
+    queryParams.push(bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat);
+    whereConditions.push(`p.latitude BETWEEN $${minLatParam} AND $${maxLatParam}`);
+    whereConditions.push(bbox.minLng <= bbox.maxLng
+      ? `p.longitude BETWEEN $${minLngParam} AND $${maxLngParam}`
+      : `(p.longitude >= $${minLngParam} OR p.longitude <= $${maxLngParam})`);
+  }
+
+  // Free-text search: a full address string (e.g. "104 Coral Street,
+  // Miami, FL 33101" from autocomplete) won't match any single column, so
+  // it's matched against search_text -- address/city/state/zip combined and
+  // normalized the same way as the query (see searchText in address.js).
+  // The <% operator is trigram word similarity, so small misspellings still
+  // match, and it's backed by the GIN index. relevanceExpr is what
+  // sort_by=relevance orders by.
+  let relevanceExpr = null;
+  if (q) {
+    paramCount++;
+    whereConditions.push(`$${paramCount} <% p.search_text`);
+    queryParams.push(searchQueryText(q));
+    relevanceExpr = `word_similarity($${paramCount}, p.search_text)`;
+  }
+
+  // Add filters based on provided parameters
+  if (city) {
+    paramCount++;
+    whereConditions.push(`LOWER(p.city) LIKE LOWER($${paramCount})`);
+    queryParams.push(`%${city}%`);
+  }
+
+  if (state) {
+    paramCount++;
+    whereConditions.push(`LOWER(p.state) = LOWER($${paramCount})`);
+    queryParams.push(state);
+  }
+
+  if (zip_code) {
+    paramCount++;
+    whereConditions.push(`p.zip_code = $${paramCount}`);
+    queryParams.push(zip_code);
+  }
+
+  // Listing-level filters (rent, bedrooms, ...) live on the unit in units
+  // mode. In buildings mode a building matches if either its own row or
+  // any one of its units satisfies all of them together -- so "2+ bedrooms
+  // under $2000" can't be met by one unit's rent and another's bedrooms.
+  const listingFilters = [];
+  const addListingFilter = (column, operator, filterValue) => {
+    paramCount++;
+    listingFilters.push({ column, operator, param: paramCount });
+    queryParams.push(filterValue);
+  };
+
+  if (min_rent !== undefined) addListingFilter('rent_amount', '>=', min_rent);
+  if (max_rent !== undefined) addListingFilter('rent_amount', '<=', max_rent);
+  if (min_bedrooms !== undefined) addListingFilter('bedrooms', '>=', min_bedrooms);
+  if (max_bedrooms !== undefined) addListingFilter('bedrooms', '<=', max_bedrooms);
+  if (min_bathrooms !== undefined) addListingFilter('bathrooms', '>=', min_bathrooms);
+  if (max_bathrooms !== undefined) addListingFilter('bathrooms', '<=', max_bathrooms);
+  if (min_sqft !== undefined) addListingFilter('square_feet', '>=', min_sqft);
+  if (max_sqft !== undefined) addListingFilter('square_feet', '<=', max_sqft);
+
+  if (listingFilters.length > 0) {
+    const listingCondition = (alias) => listingFilters
+      .map(f => `${alias}.${f.column} ${f.operator} $${f.param}`)
+      .join(' AND ');
+
+    whereConditions.push(result_type === 'units'
+      ? listingCondition('pu')
+      : `((${listingCondition('p')}) OR EXISTS (
+          SELECT 1 FROM property_units pu WHERE pu.property_id = p.id AND ${listingCondition('pu')}
+        ))`);
+  }
+
+  if (landlord_verified !== undefined) {
+    paramCount++;
+    whereConditions.push(`p.landlord_verified = $${paramCount}`);
+    queryParams.push(landlord_verified);
+  }
+
+  // Amenities belong to the building, so units mode filters on it too.
+  // Both operators are backed by the GIN index on properties.amenities.
+  if (amenities) {
+    paramCount++;
+    whereConditions.push(`p.amenities @> $${paramCount}::text[]`);
+    queryParams.push(amenities);
+  }
+
+  if (amenities_any) {
+    paramCount++;
+    whereConditions.push(`p.amenities && $${paramCount}::text[]`);
+    queryParams.push(amenities_any);
+  }
+
+  return { whereConditions, queryParams, relevanceExpr };
+}
+
+module.exports = { buildSearchFilters };
@@ -3,20 +3,27 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const Joi = require('joi');
-const { Pool } = require('pg');
 const jwt = require('jsonwebtoken');
-const { geocodeAddress, geocodeFreeText, geocodeFreeTextSuggestions, delay } = require('./geocode');
+const { geocodeFreeText, geocodeFreeTextSuggestions, geocodeReverse } = require('./geocode');
 const { getStreetViewHeading } = require('./streetView');
+const { getStreetViewImage, getFallbackImage, isStreetViewImageConfigured } = require('./streetViewImage');
+const { splitUnitFromAddress, addressKey, searchText, searchQueryText } = require('./address');
+const { buildSearchFilters } = require('./searchFilters');
+const { AMENITIES, createPropertySchema, recordRentChange, rentChanged, insertUnit } = require('./propertyRecords');
 const rateLimit = require('express-rate-limit');
+const { pool } = require('./db');
+const { enqueueJob, findJob, startJobWorker } = require('./jobs');
+const { enqueuePropertyGeocode, geocodingJobHandlers, GEOCODE_BACKFILL_JOB } = require('./propertyGeocoding');
+const { enqueuePropertyImport, propertyImportJobHandlers } = require('./propertyImports');
+const { savedSearchJobHandlers, scheduleSavedSearchMatcher } = require('./savedSearches');
+const { PROPERTY_EVENT_TYPES, recordPropertyEvent, recordUnitEvent } = require('./outbox');
+const { webhookJobHandlers, scheduleWebhookDispatcher, redeliverWebhook, generateWebhookSecret } = require('./webhooks');
+const { parseCsv, CsvParseError, formatCsvRow } = require('./csv');
+const { assertSchemaCurrent } = require('./migrate');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
 // JWT auth — matches auth-service's generateToken() exactly (same JWT_SECRET,
 // same payload shape: { id, email, role, firstName, lastName, email_verified }).
 // Property ownership is derived from the token instead of trusting a
@@ -38,6 +45,22 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Same verification as authenticateToken, but for public routes that only
+// behave differently for signed-in users (e.g. admins seeing archived
+// properties). A missing or invalid token just means "anonymous" here
+// rather than a 401/403 -- the route still works without one.
+const optionalAuthenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) return next();
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (!err) req.user = user;
+    next();
+  });
+};
+
 const requireRole = (roles) => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ error: 'Authentication required' });
@@ -66,6 +89,16 @@ const communitySubmitLimiter = rateLimit({
   message: { error: 'Too many requests', message: 'Maximum 10 property submissions per hour' }
 });
 
+// Exports scan every matching row, so they get a budget of their own --
+// per account rather than per IP, since the route requires a token anyway
+// (and runs after authenticateToken, so req.user is set).
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `user:${req.user.id}`,
+  message: { error: 'Too many requests', message: 'Maximum 10 exports per hour' }
+});
+
 // Validation schema for community-submitted properties — minimal fields,
 // no rent/bedroom details required since the submitter is a renter who
 // just wants to review an address, not a landlord listing it.
@@ -73,22 +106,56 @@ const communityPropertySchema = Joi.object({
   address: Joi.string().required().min(5).max(500),
   city: Joi.string().required().min(2).max(100),
   state: Joi.string().required().min(2).max(50),
-  zip_code: Joi.string().required().pattern(/^\d{5}(-\d{4})?$/)
+  zip_code: Joi.string().required().pattern(/^\d{5}(-\d{4})?$/),
+  // Optional -- a unit typed into the address itself ("12 Main St Apt 4B")
+  // is split off automatically; this is for forms with a separate field.
+  unit_number: Joi.string().trim().max(50)
 });
 
-// Validation schema for property creation — landlord_id is no longer accepted
-// from the client; it's derived from the authenticated user's token.
-const createPropertySchema = Joi.object({
-  address: Joi.string().required().min(5).max(500),
-  city: Joi.string().required().min(2).max(100),
-  state: Joi.string().required().min(2).max(50),
-  zip_code: Joi.string().required().pattern(/^\d{5}(-\d{4})?$/), // US zip code format
-  rent_amount: Joi.number().positive().precision(2).max(50000), // Max $50k rent
+// Placeholder description every community-submitted row gets until a
+// landlord claims it -- an approved claim swaps it for the landlord's own
+// description (see POST /claims/:id/approve).
+const COMMUNITY_PLACEHOLDER_DESCRIPTION = '[Community-Submitted Property - Unverified by Landlord]';
+
+// Validation schema for a landlord claiming an unowned (community-submitted)
+// property. Evidence is free text plus optional links (lease, deed, tax
+// record, management agreement) for the reviewing admin -- nothing here is
+// verified automatically.
+const claimPropertySchema = Joi.object({
+  evidence: Joi.string().required().min(20).max(5000),
+  evidence_urls: Joi.array().items(Joi.string().uri({ scheme: ['http', 'https'] })).max(10).default([]),
+  description: Joi.string().max(2000)
+});
+
+const reviewClaimSchema = Joi.object({
+  notes: Joi.string().max(2000)
+});
+
+// Validation schemas for units inside a building (apartments, condos,
+// multi-family). The building row holds the address, coordinates and Street
+// View data; each unit only carries its own listing details.
+const createUnitSchema = Joi.object({
+  unit_number: Joi.string().trim().required().max(50),
+  rent_amount: Joi.number().positive().precision(2).max(50000),
   bedrooms: Joi.number().integer().min(0).max(20),
   bathrooms: Joi.number().positive().precision(1).max(20),
   square_feet: Joi.number().integer().positive().max(50000),
-  description: Joi.string().max(2000)
-});
+  description: Joi.string().max(2000),
+  rent_effective_date: Joi.date().iso().max('now').raw() // see createPropertySchema
+}).with('rent_effective_date', 'rent_amount');
+
+const updateUnitSchema = createUnitSchema
+  .fork(['unit_number'], (schema) => schema.optional())
+  .min(1);
+
+// Validation schema for property edits -- the same fields and limits as
+// creation, just all optional, so a landlord can fix one typo'd field
+// without resending the whole listing. An empty body is rejected rather than
+// silently bumping updated_at on a no-op.
+const updatePropertySchema = createPropertySchema
+  .fork(['address', 'city', 'state', 'zip_code'], (schema) => schema.optional())
+  .keys({ unit_number: Joi.forbidden() }) // units are edited through /properties/:id/units/:unitId
+  .min(1);
 
 app.use(helmet());
 app.use(cors({
@@ -100,7 +167,7 @@ app.use(cors({
     'https://www.rentreviews.net'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   // Accept is spec-safelisted, so Chrome lets a preflight through without it
   // being explicitly listed here -- Safari/WebKit is stricter and enforces
   // it anyway, so a request sending an explicit Accept header (like
@@ -134,10 +201,29 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/health',
-      'setup-database': '/setup-database (GET)',
       'add-property': '/properties (POST)',
+      'import-properties': '/properties/imports (POST text/csv, GET), /properties/imports/:importId (GET)',
       'search-properties': '/properties (GET)',
+      'property-clusters': '/properties/clusters?bbox=&zoom= (GET)',
+      'property-stats': '/properties/stats?group_by= (GET)',
+      'export-properties': '/properties/export?format=csv|geojson (GET, authenticated)',
+      'update-property': '/properties/:id (PUT/PATCH)',
+      'archive-property': '/properties/:id/archive (POST) or /properties/:id (DELETE)',
+      'restore-property': '/properties/:id/restore (POST)',
+      'claim-property': '/properties/:id/claims (POST)',
+      'property-units': '/properties/:id/units (GET/POST), /properties/:id/units/:unitId (PUT/PATCH/DELETE)',
+      'rent-history': '/properties/:id/rent-history (GET)',
+      'street-view-image': '/properties/:id/street-view.jpg?width=&height=&fov=&pitch= (GET)',
+      'favorites': '/favorites (GET), /properties/:id/favorite (POST/DELETE)',
+      'saved-searches': '/saved-searches (GET/POST), /saved-searches/:id (PUT/PATCH/DELETE)',
+      'list-claims': '/claims (GET)',
+      'review-claim': '/claims/:id/approve, /claims/:id/reject (POST, admin)',
+      'reverse-geocode': '/geocode/reverse?lat=&lng= (GET)',
       'geocode-backfill': '/admin/geocode-properties (POST)',
+      'jobs': '/admin/jobs, /admin/jobs/:id (GET)',
+      'duplicate-properties': '/admin/properties/duplicates (GET)',
+      'merge-properties': '/admin/properties/merge (POST)',
+      'webhooks': '/admin/webhooks (GET/POST), /admin/webhooks/:id (GET/PATCH/DELETE), /admin/webhooks/:id/deliveries/:deliveryId/redeliver (POST)',
       test: '/test'
     }
   });
@@ -151,54 +237,6 @@ app.get('/test', (req, res) => {
   });
 });
 
-app.get('/setup-database', requireAdminSecret, async (req, res) => {
-  try {
-    // Create properties table with latitude/longitude
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS properties (
-        id SERIAL PRIMARY KEY,
-        address TEXT NOT NULL,
-        city VARCHAR(100) NOT NULL,
-        state VARCHAR(50) NOT NULL,
-        zip_code VARCHAR(20) NOT NULL,
-        latitude DECIMAL(10, 8),
-        longitude DECIMAL(11, 8),
-        rent_amount DECIMAL(10,2),
-        bedrooms INTEGER,
-        bathrooms DECIMAL(3,1),
-        square_feet INTEGER,
-        description TEXT,
-        landlord_id INTEGER REFERENCES users(id),
-        landlord_verified BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Add latitude/longitude columns if they don't exist (for existing tables)
-    await pool.query(`
-      ALTER TABLE properties
-      ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 8),
-      ADD COLUMN IF NOT EXISTS longitude DECIMAL(11, 8),
-      ADD COLUMN IF NOT EXISTS street_view_heading DOUBLE PRECISION,
-      ADD COLUMN IF NOT EXISTS street_view_lat DOUBLE PRECISION,
-      ADD COLUMN IF NOT EXISTS street_view_lng DOUBLE PRECISION;
-    `);
-    
-    res.json({ 
-      message: 'Properties table created successfully!',
-      table: 'properties',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Database setup error:', error);
-    res.status(500).json({ 
-      error: 'Failed to create properties table', 
-      details: error.message 
-    });
-  }
-});
-
 // GET /geocode - Free-text address lookup (PUBLIC, no DB write). Used by the
 // search page to preview an address (with a Street View image) before
 // anyone commits to adding it as a property.
@@ -223,11 +261,45 @@ app.get('/geocode', geocodeLimiter, async (req, res) => {
   });
 });
 
+// GET /geocode/reverse - Turn a lat/lng (dropped map pin, device location)
+// into an address (PUBLIC, no DB write), so the frontend can prefill POST
+// /properties/community. Same structured shape and Street View data as GET
+// /geocode, and the same provider chain/Nominatim throttle as every other
+// lookup -- hence the same rate limit.
+const reverseGeocodeSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+app.get('/geocode/reverse', geocodeLimiter, async (req, res) => {
+  const { error, value } = reverseGeocodeSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const result = await geocodeReverse(value.lat, value.lng);
+  if (!result.success) {
+    return res.status(404).json({ error: 'Not found', message: 'Could not find an address at that location' });
+  }
+
+  const streetView = await getStreetViewHeading(result.latitude, result.longitude);
+  res.json({
+    success: true,
+    ...result,
+    street_view_heading: streetView?.heading ?? null,
+    street_view_lat: streetView?.lat ?? null,
+    street_view_lng: streetView?.lng ?? null
+  });
+});
+
 // GET /geocode/suggestions - Live-as-you-type address suggestions (PUBLIC).
 // Backed by the same accurate Nominatim data used for the actual search,
 // unlike the frontend's primary autocomplete source (Photon), whose free
 // index has real coverage gaps for some addresses. Requests are globally
-// throttled to Nominatim's 1 req/sec limit inside geocode.js regardless of
+// throttled to Nominatim's 1 req/sec limit inside geocoders/nominatim.js regardless of
 // how many people are typing at once, so this is safe to hit frequently —
 // the frontend should still debounce so results don't queue up needlessly.
 const suggestionsLimiter = rateLimit({
@@ -246,7 +318,7 @@ app.get('/geocode/suggestions', suggestionsLimiter, async (req, res) => {
   // all but the latest as the user keeps typing. Track that so a request
   // that's already been abandoned skips its Nominatim call entirely once it
   // reaches the front of the throttle queue, instead of occupying a slot
-  // nobody's waiting on — see throttled() in geocode.js for why this matters.
+  // nobody's waiting on — see throttled() in geocoders/nominatim.js for why this matters.
   let clientDisconnected = false;
   req.on('close', () => { clientDisconnected = true; });
 
@@ -281,47 +353,94 @@ app.post('/properties/community', authenticateToken, communitySubmitLimiter, asy
       });
     }
 
-    const { address, city, state, zip_code } = value;
+    const { city, state, zip_code } = value;
+
+    // "12 Main St Apt 4B" and "12 Main St Apt 2A" are the same building --
+    // dedupe and geocode on the street address alone, then find-or-create
+    // the unit underneath it.
+    const { street: address, unit: parsedUnit } = splitUnitFromAddress(value.address);
+    const unitNumber = value.unit_number || parsedUnit;
 
     // Idempotent: if this address already exists (landlord-listed or
     // previously community-submitted), just return it instead of duplicating.
+    // Matched on the normalized key, so "104 Coral St." finds "104 Coral Street".
+    const key = addressKey(address, zip_code);
     const existing = await pool.query(
-      'SELECT * FROM properties WHERE LOWER(address) = LOWER($1) AND zip_code = $2',
-      [address, zip_code]
+      'SELECT * FROM properties WHERE address_key = $1 AND merged_into_id IS NULL ORDER BY id LIMIT 1',
+      [key]
     );
 
     if (existing.rows.length > 0) {
-      return res.json({ success: true, property: existing.rows[0], already_existed: true });
-    }
+      const building = existing.rows[0];
+      let unit = null;
+      let unitExisted = true;
+      if (unitNumber) {
+        const findUnit = async () => {
+          const existingUnit = await pool.query(
+            'SELECT * FROM property_units WHERE property_id = $1 AND UPPER(unit_number) = UPPER($2)',
+            [building.id, unitNumber]
+          );
+          return existingUnit.rows[0] || null;
+        };
 
-    let latitude = null;
-    let longitude = null;
-    let streetViewHeading = null;
-    let streetViewLat = null;
-    let streetViewLng = null;
-    try {
-      const geocodeResult = await geocodeAddress(address, city, state, zip_code);
-      if (geocodeResult.success) {
-        latitude = geocodeResult.latitude;
-        longitude = geocodeResult.longitude;
-        const streetView = await getStreetViewHeading(latitude, longitude);
-        streetViewHeading = streetView?.heading ?? null;
-        streetViewLat = streetView?.lat ?? null;
-        streetViewLng = streetView?.lng ?? null;
+        unit = await findUnit();
+        if (!unit) {
+          const client = await pool.connect();
+          try {
+            await client.query('BEGIN');
+            unit = await insertUnit(client, building.id, { unit_number: unitNumber });
+            await recordUnitEvent(client, building.id, unit.id, 'created', { source: 'community' });
+            await client.query('COMMIT');
+            unitExisted = false;
+          } catch (unitErr) {
+            await client.query('ROLLBACK');
+            // A concurrent submission of the same unit got there first --
+            // theirs is the one we'd have found a moment later.
+            if (unitErr.code !== '23505') throw unitErr; // Unique violation -- property_units_unique_number
+            unit = await findUnit();
+          } finally {
+            client.release();
+          }
+        }
       }
-    } catch (geocodeErr) {
-      console.warn('Geocoding failed for community property, continuing without coords:', geocodeErr);
+
+      return res.status(unitExisted ? 200 : 201).json({
+        success: true,
+        property: building,
+        unit,
+        already_existed: unitExisted
+      });
     }
 
-    const result = await pool.query(
-      `INSERT INTO properties (address, city, state, zip_code, latitude, longitude, street_view_heading, street_view_lat, street_view_lng, landlord_id, description)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NULL, $10)
-       RETURNING *`,
-      [address, city, state, zip_code, latitude, longitude, streetViewHeading, streetViewLat, streetViewLng,
-        '[Community-Submitted Property - Unverified by Landlord]']
-    );
+    // Saved without coordinates (geocode_status 'pending'); the geocode job
+    // queued alongside fills them in -- see propertyGeocoding.js.
+    const client = await pool.connect();
+    let property;
+    let unit = null;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO properties (address, city, state, zip_code, address_key, search_text, landlord_id, description)
+         VALUES ($1, $2, $3, $4, $5, $6, NULL, $7)
+         RETURNING *`,
+        [address, city, state, zip_code, key, searchText(address, city, state, zip_code), COMMUNITY_PLACEHOLDER_DESCRIPTION]
+      );
+      property = result.rows[0];
+
+      if (unitNumber) unit = await insertUnit(client, property.id, { unit_number: unitNumber });
+      await enqueuePropertyGeocode(client, property.id);
+      await recordPropertyEvent(client, 'property.created', property, { source: 'community' });
+
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
 
-    res.status(201).json({ success: true, property: result.rows[0], already_existed: false });
+    res.status(201).json({ success: true, property, unit, already_existed: false });
   } catch (error) {
     console.error('Error creating community property:', error);
     res.status(500).json({ error: 'Internal server error', message: 'Failed to add property' });
@@ -353,7 +472,6 @@ app.post('/properties', authenticateToken, requireRole(['landlord']), async (req
     }
 
     const {
-      address,
       city,
       state,
       zip_code,
@@ -361,9 +479,20 @@ app.post('/properties', authenticateToken, requireRole(['landlord']), async (req
       bedrooms,
       bathrooms,
       square_feet,
-      description
+      description,
+      amenities,
+      rent_effective_date
     } = value;
 
+    // See POST /properties/community -- the building is keyed on the street
+    // address alone, and a unit (typed inline or sent separately) gets its
+    // own row carrying the listing details.
+    const { street: address, unit: parsedUnit } = splitUnitFromAddress(value.address);
+    const unitNumber = value.unit_number || parsedUnit;
+    const unitDetails = unitNumber
+      ? { unit_number: unitNumber, rent_amount, bedrooms, bathrooms, square_feet, description, rent_effective_date }
+      : null;
+
     const landlord_id = req.user.id;
 
     // Verify the landlord exists and is actually a landlord
@@ -387,68 +516,131 @@ app.post('/properties', authenticateToken, requireRole(['landlord']), async (req
       });
     }
 
-    // Check for duplicate property (same address + zip)
+    // Check for duplicate property (same normalized address + zip)
+    const key = addressKey(address, zip_code);
     const duplicateCheck = await pool.query(
-      'SELECT id FROM properties WHERE LOWER(address) = LOWER($1) AND zip_code = $2',
-      [address, zip_code]
+      'SELECT id, landlord_id, archived_at FROM properties WHERE address_key = $1 AND merged_into_id IS NULL ORDER BY id LIMIT 1',
+      [key]
     );
+    const existingBuilding = duplicateCheck.rows[0];
 
-    if (duplicateCheck.rows.length > 0) {
+    // A building nobody owns yet has to be claimed before anything is listed
+    // under it -- say so instead of a bare "already exists".
+    if (existingBuilding && existingBuilding.landlord_id === null) {
       return res.status(409).json({
         error: 'Property already exists',
-        message: 'A property with this address and zip code already exists',
-        existing_property_id: duplicateCheck.rows[0].id
+        message: `A property with this address and zip code already exists and has no landlord -- claim it first (POST /properties/${existingBuilding.id}/claims)`,
+        existing_property_id: existingBuilding.id
       });
     }
 
-    // Try to geocode (best-effort, doesn't block save)
-    let latitude = null;
-    let longitude = null;
-    let streetViewHeading = null;
-    let streetViewLat = null;
-    let streetViewLng = null;
-    try {
-      const geocodeResult = await geocodeAddress(address, city, state, zip_code);
-      if (geocodeResult.success) {
-        latitude = geocodeResult.latitude;
-        longitude = geocodeResult.longitude;
-        const streetView = await getStreetViewHeading(latitude, longitude);
-        streetViewHeading = streetView?.heading ?? null;
-        streetViewLat = streetView?.lat ?? null;
-        streetViewLng = streetView?.lng ?? null;
+    // Adding another unit to a building this landlord already lists isn't a
+    // duplicate -- it goes under the existing building, no new geocode.
+    if (existingBuilding && unitDetails && existingBuilding.landlord_id === landlord_id) {
+      const buildingId = existingBuilding.id;
+      if (existingBuilding.archived_at) {
+        return res.status(409).json({
+          error: 'Property archived',
+          message: 'Restore this property before adding units',
+          existing_property_id: buildingId
+        });
+      }
+      try {
+        let unit;
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          unit = await insertUnit(client, buildingId, unitDetails, { recordedBy: landlord_id });
+          await recordUnitEvent(client, buildingId, unit.id, 'created', { source: 'landlord' });
+          await client.query('COMMIT');
+        } catch (txError) {
+          await client.query('ROLLBACK');
+          throw txError;
+        } finally {
+          client.release();
+        }
+
+        return res.status(201).json({
+          success: true,
+          message: 'Unit added to existing property',
+          property_id: buildingId,
+          unit
+        });
+      } catch (unitErr) {
+        if (unitErr.code === '23505') { // Unique violation -- property_units_unique_number
+          return res.status(409).json({
+            error: 'Unit already exists',
+            message: 'This unit already exists at this address',
+            existing_property_id: buildingId
+          });
+        }
+        throw unitErr;
       }
-    } catch (geocodeErr) {
-      console.warn('Geocoding failed for property, continuing without coords:', geocodeErr);
     }
 
-    // Insert the new property
+    if (existingBuilding) {
+      return res.status(409).json({
+        error: 'Property already exists',
+        message: 'A property with this address and zip code already exists',
+        existing_property_id: existingBuilding.id
+      });
+    }
+
+    // Insert the new property without coordinates -- geocoding (and the
+    // Street View lookup) runs as a background job queued in the same
+    // transaction, so the response comes back with geocode_status 'pending'
+    // instead of waiting on Google/Nominatim.
     const insertQuery = `
       INSERT INTO properties (
-        address, city, state, zip_code, latitude, longitude, street_view_heading, street_view_lat, street_view_lng, rent_amount,
-        bedrooms, bathrooms, square_feet, description, landlord_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        address, city, state, zip_code, address_key, search_text, rent_amount,
+        bedrooms, bathrooms, square_feet, description, landlord_id, amenities
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `;
 
-    const result = await pool.query(insertQuery, [
-      address,
-      city,
-      state,
-      zip_code,
-      latitude,
-      longitude,
-      streetViewHeading,
-      streetViewLat,
-      streetViewLng,
-      rent_amount,
-      bedrooms,
-      bathrooms,
-      square_feet,
-      description,
-      landlord_id
-    ]);
+    const client = await pool.connect();
+    let newProperty;
+    let unit = null;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(insertQuery, [
+        address,
+        city,
+        state,
+        zip_code,
+        key,
+        searchText(address, city, state, zip_code),
+        unitDetails ? null : rent_amount,
+        unitDetails ? null : bedrooms,
+        unitDetails ? null : bathrooms,
+        unitDetails ? null : square_feet,
+        unitDetails ? null : description,
+        landlord_id,
+        amenities ?? []
+      ]);
+      newProperty = result.rows[0];
+
+      if (unitDetails) unit = await insertUnit(client, newProperty.id, unitDetails, { recordedBy: landlord_id });
+
+      if (newProperty.rent_amount != null) {
+        await recordRentChange(client, {
+          propertyId: newProperty.id,
+          rentAmount: newProperty.rent_amount,
+          effectiveDate: rent_effective_date ?? null,
+          recordedBy: landlord_id
+        });
+      }
 
-    const newProperty = result.rows[0];
+      await enqueuePropertyGeocode(client, newProperty.id);
+      await recordPropertyEvent(client, 'property.created', newProperty, { source: 'landlord' });
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
 
     // Return success response with property details
     res.status(201).json({
@@ -465,15 +657,22 @@ app.post('/properties', authenticateToken, requireRole(['landlord']), async (req
         street_view_heading: newProperty.street_view_heading,
         street_view_lat: newProperty.street_view_lat,
         street_view_lng: newProperty.street_view_lng,
+        street_view_status: newProperty.street_view_status,
+        street_view_pano_id: newProperty.street_view_pano_id,
+        street_view_capture_date: newProperty.street_view_capture_date,
+        street_view_copyright: newProperty.street_view_copyright,
+        geocode_status: newProperty.geocode_status,
         rent_amount: newProperty.rent_amount,
         bedrooms: newProperty.bedrooms,
         bathrooms: newProperty.bathrooms,
         square_feet: newProperty.square_feet,
         description: newProperty.description,
+        amenities: newProperty.amenities,
         landlord_id: newProperty.landlord_id,
         landlord_verified: newProperty.landlord_verified,
         created_at: newProperty.created_at
-      }
+      },
+      unit
     });
 
   } catch (error) {
@@ -494,622 +693,3760 @@ app.post('/properties', authenticateToken, requireRole(['landlord']), async (req
   }
 });
 
-// GET /properties/:id - Get a specific property by ID
-app.get('/properties/:id', async (req, res) => {
-  try {
-    const propertyId = parseInt(req.params.id);
-    
-    if (isNaN(propertyId)) {
-      return res.status(400).json({
-        error: 'Invalid property ID',
-        message: 'Property ID must be a number'
+// POST /properties/imports - Bulk-create properties from a CSV upload
+// (Content-Type: text/csv), for property managers with more doors than
+// anyone wants to enter one at a time. The header row names
+// createPropertySchema fields (address, city, state, zip_code, rent_amount,
+// ..., amenities, unit_number, rent_effective_date) in any order; every
+// data row goes through the same validation and duplicate rules as POST
+// /properties.
+//
+// Rows are worked through by a background job (see propertyImports.js),
+// which resumes where it left off after a restart, and never geocode
+// inline -- each new building is saved with geocode_status 'pending' and a
+// geocode job, like POST /properties -- so this returns 202 with an import
+// id right away.
+// Poll GET /properties/imports/:importId for per-row outcomes: created,
+// duplicate (with the existing property's id), invalid (with the
+// validation messages) or failed.
+const IMPORT_MAX_ROWS = 1000;
+const IMPORT_COLUMNS = Object.keys(createPropertySchema.describe().keys);
+const IMPORT_REQUIRED_COLUMNS = ['address', 'city', 'state', 'zip_code'];
+
+app.post('/properties/imports', authenticateToken, requireRole(['landlord']),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    try {
+      // Same live check as POST /properties.
+      const verifiedCheck = await pool.query('SELECT email_verified FROM users WHERE id = $1', [req.user.id]);
+      if (verifiedCheck.rows.length === 0 || !verifiedCheck.rows[0].email_verified) {
+        return res.status(403).json({
+          error: 'Email not verified',
+          message: 'Please verify your email before adding a property.'
+        });
+      }
+
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({
+          error: 'Invalid CSV',
+          message: 'Send the CSV file as the request body with Content-Type: text/csv'
+        });
+      }
+
+      let records;
+      try {
+        records = parseCsv(req.body);
+      } catch (parseError) {
+        if (parseError instanceof CsvParseError) {
+          return res.status(400).json({ error: 'Invalid CSV', message: parseError.message });
+        }
+        throw parseError;
+      }
+
+      // File-level problems reject the whole upload -- a bad header would
+      // otherwise turn into the same error on every single row.
+      const [header = [], ...dataRows] = records;
+      const columns = header.map(column => column.trim().toLowerCase());
+      const headerErrors = [
+        ...columns.filter(column => !IMPORT_COLUMNS.includes(column)).map(column => `Unknown column "${column}"`),
+        ...columns.filter((column, index) => columns.indexOf(column) !== index).map(column => `Duplicate column "${column}"`),
+        ...IMPORT_REQUIRED_COLUMNS.filter(column => !columns.includes(column)).map(column => `Missing required column "${column}"`)
+      ];
+      if (headerErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid CSV header', details: headerErrors });
+      }
+
+      if (dataRows.length === 0) {
+        return res.status(400).json({ error: 'Invalid CSV', message: 'The file has a header but no rows' });
+      }
+      if (dataRows.length > IMPORT_MAX_ROWS) {
+        return res.status(413).json({
+          error: 'Too many rows',
+          message: `Imports are limited to ${IMPORT_MAX_ROWS} rows; split the file and upload each part`
+        });
+      }
+
+      // Empty cells are omitted rather than sent as "" so optional fields
+      // stay optional. Cells past the last header column are kept under a
+      // positional name, which validation then reports for that row. An
+      // amenities cell is a list -- "parking; elevator" (or commas, quoted).
+      const inputs = dataRows.map(fields => {
+        const input = {};
+        fields.forEach((field, index) => {
+          const trimmed = field.trim();
+          if (trimmed === '') return;
+          const column = columns[index] ?? `column_${index + 1}`;
+          input[column] = column === 'amenities'
+            ? trimmed.split(/[;,]/).map(amenity => amenity.trim()).filter(Boolean)
+            : trimmed;
+        });
+        return input;
       });
-    }
 
-    // Get property with landlord information
-    const query = `
-      SELECT 
-        p.*,
-        u.first_name as landlord_first_name,
-        u.last_name as landlord_last_name,
-        u.email as landlord_email
-      FROM properties p
-      LEFT JOIN users u ON p.landlord_id = u.id
-      WHERE p.id = $1
-    `;
+      const client = await pool.connect();
+      let propertyImport;
+      try {
+        await client.query('BEGIN');
 
-    const result = await pool.query(query, [propertyId]);
+        const importResult = await client.query(
+          'INSERT INTO property_imports (landlord_id, total_rows) VALUES ($1, $2) RETURNING *',
+          [req.user.id, inputs.length]
+        );
+        propertyImport = importResult.rows[0];
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Property not found',
-        message: 'No property found with the specified ID'
+        // Row numbers match the spreadsheet, header included, so row 2 is
+        // the first data row.
+        await client.query(
+          `INSERT INTO property_import_rows (import_id, row_number, input)
+           SELECT $1, row_number, input FROM unnest($2::int[], $3::jsonb[]) AS rows (row_number, input)`,
+          [propertyImport.id, inputs.map((input, index) => index + 2), inputs.map(input => JSON.stringify(input))]
+        );
+
+        await enqueuePropertyImport(client, propertyImport.id);
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Import accepted',
+        import: {
+          id: propertyImport.id,
+          status: propertyImport.status,
+          total_rows: propertyImport.total_rows,
+          created_at: propertyImport.created_at
+        },
+        poll_url: `/properties/imports/${propertyImport.id}`
+      });
+
+    } catch (error) {
+      console.error('Error starting property import:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to start import'
       });
     }
+  });
 
-    const property = result.rows[0];
+// Loads an import with its per-status row counts. Returns null when it
+// doesn't exist.
+async function findPropertyImport(importId) {
+  const result = await pool.query(
+    `SELECT pi.*,
+       COUNT(pir.row_number) FILTER (WHERE pir.status = 'pending') AS pending_count,
+       COUNT(pir.row_number) FILTER (WHERE pir.status = 'created') AS created_count,
+       COUNT(pir.row_number) FILTER (WHERE pir.status = 'duplicate') AS duplicate_count,
+       COUNT(pir.row_number) FILTER (WHERE pir.status = 'invalid') AS invalid_count,
+       COUNT(pir.row_number) FILTER (WHERE pir.status = 'failed') AS failed_count
+     FROM property_imports pi
+     LEFT JOIN property_import_rows pir ON pir.import_id = pi.id
+     WHERE pi.id = $1
+     GROUP BY pi.id`,
+    [importId]
+  );
+  return result.rows[0] || null;
+}
 
-    res.json({
-      success: true,
-      property: {
-        id: property.id,
-        address: property.address,
-        city: property.city,
-        state: property.state,
-        zip_code: property.zip_code,
-        latitude: property.latitude,
-        longitude: property.longitude,
-        street_view_heading: property.street_view_heading,
-        street_view_lat: property.street_view_lat,
-        street_view_lng: property.street_view_lng,
-        rent_amount: property.rent_amount,
-        bedrooms: property.bedrooms,
-        bathrooms: property.bathrooms,
-        square_feet: property.square_feet,
-        description: property.description,
-        landlord_verified: property.landlord_verified,
-        created_at: property.created_at,
-        landlord: {
-          id: property.landlord_id,
-          first_name: property.landlord_first_name,
-          last_name: property.landlord_last_name,
-          email: property.landlord_email
-        }
-      }
-    });
+function formatPropertyImport(propertyImport) {
+  return {
+    id: propertyImport.id,
+    landlord_id: propertyImport.landlord_id,
+    status: propertyImport.status,
+    total_rows: propertyImport.total_rows,
+    counts: {
+      pending: parseInt(propertyImport.pending_count),
+      created: parseInt(propertyImport.created_count),
+      duplicate: parseInt(propertyImport.duplicate_count),
+      invalid: parseInt(propertyImport.invalid_count),
+      failed: parseInt(propertyImport.failed_count)
+    },
+    error: propertyImport.error,
+    created_at: propertyImport.created_at,
+    started_at: propertyImport.started_at,
+    completed_at: propertyImport.completed_at
+  };
+}
+
+// GET /properties/imports - The caller's imports, newest first (admins see
+// everyone's). Registered ahead of /properties/:id, see below.
+async function listPropertyImports(req, res) {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const idsResult = await pool.query(
+      `SELECT id FROM property_imports
+       ${isAdmin ? '' : 'WHERE landlord_id = $1'}
+       ORDER BY created_at DESC, id DESC
+       LIMIT 50`,
+      isAdmin ? [] : [req.user.id]
+    );
+
+    const imports = await Promise.all(idsResult.rows.map(row => findPropertyImport(row.id)));
+    res.json({ success: true, imports: imports.map(formatPropertyImport) });
 
   } catch (error) {
-    console.error('Error fetching property:', error);
+    console.error('Error listing property imports:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to fetch property'
+      message: 'Failed to list imports'
     });
   }
-});
+}
 
-// Validation schema for property search query parameters
-const searchPropertiesSchema = Joi.object({
-  // Free-text search across address/city/state/zip combined — lets a full
-  // address (from autocomplete) match an existing property even though no
-  // single column contains the whole string. See tokenized matching below.
-  q: Joi.string().trim().min(1).max(300),
-  city: Joi.string().min(2).max(100),
-  state: Joi.string().min(2).max(50),
-  zip_code: Joi.string().pattern(/^\d{5}(-\d{4})?$/),
-  min_rent: Joi.number().positive().max(50000),
-  max_rent: Joi.number().positive().max(50000),
-  min_bedrooms: Joi.number().integer().min(0).max(20),
-  max_bedrooms: Joi.number().integer().min(0).max(20),
-  min_bathrooms: Joi.number().positive().precision(1).max(20),
-  max_bathrooms: Joi.number().positive().precision(1).max(20),
-  min_sqft: Joi.number().integer().positive().max(50000),
-  max_sqft: Joi.number().integer().positive().max(50000),
-  landlord_verified: Joi.boolean(),
-  // "Near me" search -- when both are present, results are filtered to
-  // properties with known coordinates and can be sorted by distance from
-  // this point (sort_by=distance).
-  lat: Joi.number().min(-90).max(90),
-  lng: Joi.number().min(-180).max(180),
-  sort_by: Joi.string().valid('rent_asc', 'rent_desc', 'newest', 'oldest', 'sqft_asc', 'sqft_desc', 'distance'),
-  limit: Joi.number().integer().min(1).max(100).default(20),
-  offset: Joi.number().integer().min(0).default(0)
-}).custom((value, helpers) => {
-  // Custom validation to ensure logical ranges
-  if (value.min_rent && value.max_rent && value.min_rent >= value.max_rent) {
-    return helpers.error('custom.rentRange');
-  }
-  if (value.min_bedrooms !== undefined && value.max_bedrooms !== undefined && value.min_bedrooms > value.max_bedrooms) {
-    return helpers.error('custom.bedroomsRange');
-  }
-  if (value.min_bathrooms && value.max_bathrooms && value.min_bathrooms > value.max_bathrooms) {
-    return helpers.error('custom.bathroomsRange');
-  }
-  if (value.min_sqft && value.max_sqft && value.min_sqft > value.max_sqft) {
-    return helpers.error('custom.sqftRange');
-  }
-  return value;
-}, 'Range validation').messages({
-  'custom.rentRange': 'min_rent must be less than max_rent',
-  'custom.bedroomsRange': 'min_bedrooms must be less than or equal to max_bedrooms',
-  'custom.bathroomsRange': 'min_bathrooms must be less than max_bathrooms',
-  'custom.sqftRange': 'min_sqft must be less than max_sqft'
+// GET /properties/imports/:importId - Poll an import (the uploading landlord
+// or an admin). status narrows the rows to one outcome.
+const importRowsQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'created', 'duplicate', 'invalid', 'failed')
 });
 
-// GET /properties - Search properties with filtering
-app.get('/properties', async (req, res) => {
+app.get('/properties/imports/:importId', authenticateToken, requireRole(['landlord', 'admin']), async (req, res) => {
   try {
-    // Validate query parameters
-    const { error, value } = searchPropertiesSchema.validate(req.query);
+    const importId = parseInt(req.params.importId);
+
+    if (isNaN(importId)) {
+      return res.status(400).json({
+        error: 'Invalid import ID',
+        message: 'Import ID must be a number'
+      });
+    }
+
+    const { error, value } = importRowsQuerySchema.validate(req.query);
     if (error) {
       return res.status(400).json({
-        error: 'Invalid search parameters',
+        error: 'Invalid parameters',
         details: error.details.map(detail => detail.message)
       });
     }
 
-    const {
-      q,
-      city,
-      state,
-      zip_code,
-      min_rent,
-      max_rent,
-      min_bedrooms,
-      max_bedrooms,
-      min_bathrooms,
-      max_bathrooms,
-      min_sqft,
-      max_sqft,
-      landlord_verified,
-      lat,
-      lng,
-      sort_by = 'newest',
-      limit = 20,
-      offset = 0
-    } = value;
-
-    // Build dynamic WHERE clause
-    let whereConditions = [];
-    let queryParams = [];
-    let paramCount = 0;
-
-    if (lat !== undefined && lng !== undefined) {
-      // No placeholders needed -- shared by both the search and count
-      // queries, unlike the distance values themselves (see below).
-      whereConditions.push('p.latitude IS NOT NULL AND p.longitude IS NOT NULL');
-    }
-
-    // Free-text search: a full address string (e.g. "104 Coral Street,
-    // Miami, FL 33101" from autocomplete) won't match any single column, so
-    // split it into tokens and require each to appear somewhere across the
-    // combined address/city/state/zip text — order- and field-independent.
-    if (q) {
-      const tokens = q.split(/[\s,]+/).map(t => t.trim()).filter(Boolean);
-      for (const token of tokens) {
-        paramCount++;
-        whereConditions.push(`
-          (p.address || ' ' || p.city || ' ' || p.state || ' ' || p.zip_code) ILIKE $${paramCount}
-        `);
-        queryParams.push(`%${token}%`);
-      }
+    const propertyImport = await findPropertyImport(importId);
+    // 404 rather than 403 for someone else's import -- no confirming it exists.
+    if (!propertyImport || (req.user.role !== 'admin' && propertyImport.landlord_id !== req.user.id)) {
+      return res.status(404).json({
+        error: 'Import not found',
+        message: 'No import found with the specified ID'
+      });
     }
 
-    // Add filters based on provided parameters
-    if (city) {
-      paramCount++;
-      whereConditions.push(`LOWER(p.city) LIKE LOWER($${paramCount})`);
-      queryParams.push(`%${city}%`);
+    const queryParams = [importId];
+    let statusCondition = '';
+    if (value.status) {
+      queryParams.push(value.status);
+      statusCondition = 'AND pir.status = $2';
     }
 
-    if (state) {
-      paramCount++;
-      whereConditions.push(`LOWER(p.state) = LOWER($${paramCount})`);
-      queryParams.push(state);
-    }
+    const rowsResult = await pool.query(
+      `SELECT pir.row_number, pir.status, pir.property_id, pir.unit_id, pir.existing_property_id, pir.errors,
+         pir.processed_at, p.latitude IS NOT NULL AS geocoded
+       FROM property_import_rows pir
+       LEFT JOIN properties p ON p.id = pir.property_id
+       WHERE pir.import_id = $1 ${statusCondition}
+       ORDER BY pir.row_number`,
+      queryParams
+    );
 
-    if (zip_code) {
-      paramCount++;
-      whereConditions.push(`p.zip_code = $${paramCount}`);
-      queryParams.push(zip_code);
-    }
+    res.json({
+      success: true,
+      import: formatPropertyImport(propertyImport),
+      rows: rowsResult.rows.map(row => ({
+        ...row,
+        geocoded: row.property_id != null ? row.geocoded : null
+      }))
+    });
 
-    if (min_rent !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.rent_amount >= $${paramCount}`);
-      queryParams.push(min_rent);
-    }
+  } catch (error) {
+    console.error('Error fetching property import:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch import'
+    });
+  }
+});
 
-    if (max_rent !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.rent_amount <= $${paramCount}`);
-      queryParams.push(max_rent);
-    }
+// PUT/PATCH /properties/:id - Edit a property (owning landlord or admin).
+// Both verbs take a partial body -- only the fields sent are changed. The
+// frontend's edit form sends PUT, but it's really a patch either way.
+const ADDRESS_FIELDS = ['address', 'city', 'state', 'zip_code'];
 
-    if (min_bedrooms !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.bedrooms >= $${paramCount}`);
-      queryParams.push(min_bedrooms);
-    }
+const updateProperty = async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
 
-    if (max_bedrooms !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.bedrooms <= $${paramCount}`);
-      queryParams.push(max_bedrooms);
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
     }
 
-    if (min_bathrooms !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.bathrooms >= $${paramCount}`);
-      queryParams.push(min_bathrooms);
+    const { error, value } = updatePropertySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
     }
 
-    if (max_bathrooms !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.bathrooms <= $${paramCount}`);
-      queryParams.push(max_bathrooms);
+    const existingResult = await pool.query('SELECT * FROM properties WHERE id = $1', [propertyId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
     }
 
-    if (min_sqft !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.square_feet >= $${paramCount}`);
-      queryParams.push(min_sqft);
-    }
+    const existing = existingResult.rows[0];
 
-    if (max_sqft !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.square_feet <= $${paramCount}`);
-      queryParams.push(max_sqft);
+    // Ownership comes from the token, same as creation -- a landlord can only
+    // edit their own listings. Community-submitted rows (landlord_id NULL)
+    // are therefore admin-only until someone owns them.
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && existing.landlord_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only edit properties you own'
+      });
     }
 
-    if (landlord_verified !== undefined) {
-      paramCount++;
-      whereConditions.push(`p.landlord_verified = $${paramCount}`);
-      queryParams.push(landlord_verified);
+    if (existing.archived_at) {
+      return res.status(409).json({
+        error: 'Property archived',
+        message: 'Restore this property before editing it'
+      });
     }
 
-    // Every param up to here is referenced somewhere in whereConditions, so
-    // the count query (which shares whereClause but has no SELECT list of
-    // its own) needs exactly this many -- snapshot it before adding params
-    // that are only used in the search query's SELECT/ORDER BY/LIMIT.
-    const whereParamCount = paramCount;
+    // Not a column -- it dates the rent_history entry below.
+    const { rent_effective_date: rentEffectiveDate, ...updates } = value;
 
-    // "Near me" search -- Haversine distance in miles from (lat, lng). Only
-    // used in the SELECT list (and ORDER BY, for sort_by=distance), never in
-    // whereConditions, so these placeholders must come after whereParamCount
-    // above or the count query ends up with unreferenced extra params and
-    // Postgres rejects the whole query.
-    let distanceSelectExpr = 'NULL';
-    if (lat !== undefined && lng !== undefined) {
-      paramCount++;
-      const latParam = paramCount;
-      queryParams.push(lat);
-      paramCount++;
-      const lngParam = paramCount;
-      queryParams.push(lng);
+    // Only re-geocode when the address actually changed -- a resubmitted but
+    // identical address (the edit form sends every field back) shouldn't
+    // burn a Google/Nominatim lookup.
+    const addressChanged = ADDRESS_FIELDS.some(
+      field => value[field] !== undefined && value[field] !== existing[field]
+    );
+
+    if (addressChanged) {
+      const address = value.address ?? existing.address;
+      const city = value.city ?? existing.city;
+      const state = value.state ?? existing.state;
+      const zip_code = value.zip_code ?? existing.zip_code;
+
+      // Same duplicate rule as creation, excluding this property itself.
+      updates.address_key = addressKey(address, zip_code);
+      updates.search_text = searchText(address, city, state, zip_code);
+      const duplicateCheck = await pool.query(
+        'SELECT id FROM properties WHERE address_key = $1 AND id <> $2 AND merged_into_id IS NULL ORDER BY id LIMIT 1',
+        [updates.address_key, propertyId]
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return res.status(409).json({
+          error: 'Property already exists',
+          message: 'A property with this address and zip code already exists',
+          existing_property_id: duplicateCheck.rows[0].id
+        });
+      }
 
-      distanceSelectExpr = `(3959 * acos(
-        LEAST(1, GREATEST(-1,
-          cos(radians($${latParam})) * cos(radians(p.latitude)) *
-          cos(radians(p.longitude) - radians($${lngParam})) +
-          sin(radians($${latParam})) * sin(radians(p.latitude))
-        ))
-      ))`;
+      // Stale coordinates are worse than none (the map pin and Street View
+      // would point at the old address), so they're cleared right away and
+      // the geocode job queued below fills in the new ones.
+      Object.assign(updates, {
+        latitude: null,
+        longitude: null,
+        street_view_heading: null,
+        street_view_lat: null,
+        street_view_lng: null,
+        street_view_status: null,
+        street_view_pano_id: null,
+        street_view_capture_date: null,
+        street_view_copyright: null,
+        street_view_checked_at: null,
+        geocode_status: 'pending'
+      });
     }
 
-    // Build WHERE clause
-    const whereClause = whereConditions.length > 0
-      ? `WHERE ${whereConditions.join(' AND ')}`
-      : '';
+    const setClauses = [];
+    const queryParams = [];
+    let paramCount = 0;
 
-    // Build ORDER BY clause
-    let orderClause;
-    switch (sort_by) {
-      case 'distance':
-        // Falls back to newest if requested without coordinates -- distance
-        // is meaningless without a point to measure from.
-        orderClause = (lat !== undefined && lng !== undefined)
-          ? 'ORDER BY distance_miles ASC NULLS LAST'
-          : 'ORDER BY p.created_at DESC';
-        break;
-      case 'rent_asc':
-        orderClause = 'ORDER BY p.rent_amount ASC NULLS LAST';
-        break;
-      case 'rent_desc':
-        orderClause = 'ORDER BY p.rent_amount DESC NULLS LAST';
-        break;
-      case 'oldest':
-        orderClause = 'ORDER BY p.created_at ASC';
-        break;
-      case 'sqft_asc':
-        orderClause = 'ORDER BY p.square_feet ASC NULLS LAST';
-        break;
-      case 'sqft_desc':
-        orderClause = 'ORDER BY p.square_feet DESC NULLS LAST';
-        break;
-      case 'newest':
-      default:
-        orderClause = 'ORDER BY p.created_at DESC';
-        break;
-    }
-
-    // Add pagination parameters
-    paramCount++;
-    const limitParam = `$${paramCount}`;
-    queryParams.push(limit);
-    
+    for (const [column, columnValue] of Object.entries(updates)) {
+      paramCount++;
+      setClauses.push(`${column} = $${paramCount}`);
+      queryParams.push(columnValue);
+    }
+
+    setClauses.push('updated_at = NOW()');
     paramCount++;
-    const offsetParam = `$${paramCount}`;
-    queryParams.push(offset);
+    queryParams.push(propertyId);
 
-    // Main search query
-    const searchQuery = `
-      SELECT 
-        p.id,
-        p.address,
-        p.city,
-        p.state,
-        p.zip_code,
-        p.latitude,
-        p.longitude,
-        p.street_view_heading,
-        p.street_view_lat,
-        p.street_view_lng,
-        p.rent_amount,
-        p.bedrooms,
-        p.bathrooms,
-        p.square_feet,
-        p.description,
-        p.landlord_verified,
-        p.created_at,
-        ${distanceSelectExpr} AS distance_miles,
-        u.first_name as landlord_first_name,
-        u.last_name as landlord_last_name,
-        u.email as landlord_email,
-        COUNT(r.id) as review_count,
-        AVG(r.overall_rating) as avg_rating,
-        (
-          SELECT rp.filename FROM review_photos rp
-          JOIN reviews rv ON rv.id = rp.review_id
-          WHERE rv.property_id = p.id
-          ORDER BY rp.created_at DESC
-          LIMIT 1
-        ) as photo_filename
-      FROM properties p
-      LEFT JOIN users u ON p.landlord_id = u.id
-      LEFT JOIN reviews r ON r.property_id = p.id
-      ${whereClause}
-      GROUP BY p.id, u.id
-      ${orderClause}
-      LIMIT ${limitParam} OFFSET ${offsetParam}
-    `;
+    // The rent history entry commits together with the rent it describes.
+    const client = await pool.connect();
+    let updatedProperty;
+    try {
+      await client.query('BEGIN');
 
-    // Count query for pagination metadata
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM properties p
-      LEFT JOIN users u ON p.landlord_id = u.id
-      ${whereClause}
-    `;
+      const result = await client.query(
+        `UPDATE properties SET ${setClauses.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        queryParams
+      );
+      updatedProperty = result.rows[0];
 
-    // Execute both queries
-    const [searchResult, countResult] = await Promise.all([
-      pool.query(searchQuery, queryParams),
-      pool.query(countQuery, queryParams.slice(0, whereParamCount)) // Only the params whereClause actually references
-    ]);
+      if (rentChanged(value.rent_amount, existing.rent_amount)) {
+        await recordRentChange(client, {
+          propertyId,
+          rentAmount: updatedProperty.rent_amount,
+          effectiveDate: rentEffectiveDate ?? null,
+          recordedBy: req.user.id
+        });
+      }
 
-    const properties = searchResult.rows;
-    const totalCount = parseInt(countResult.rows[0].total);
-    const totalPages = Math.ceil(totalCount / limit);
-    const currentPage = Math.floor(offset / limit) + 1;
+      if (addressChanged) await enqueuePropertyGeocode(client, propertyId);
 
-    // Format response
-    const formattedProperties = properties.map(property => ({
-      id: property.id,
-      address: property.address,
-      city: property.city,
-      state: property.state,
-      zip_code: property.zip_code,
-      latitude: property.latitude,
-      longitude: property.longitude,
-      street_view_heading: property.street_view_heading,
-      street_view_lat: property.street_view_lat,
-      street_view_lng: property.street_view_lng,
-      rent_amount: property.rent_amount,
-      bedrooms: property.bedrooms,
-      bathrooms: property.bathrooms,
-      square_feet: property.square_feet,
-      description: property.description,
-      landlord_verified: property.landlord_verified,
-      created_at: property.created_at,
-      distance_miles: property.distance_miles != null ? Math.round(parseFloat(property.distance_miles) * 10) / 10 : null,
-      landlord: {
-        first_name: property.landlord_first_name,
-        last_name: property.landlord_last_name,
-        email: property.landlord_email
-      },
-      review_stats: {
-        count: parseInt(property.review_count) || 0,
-        avg_rating: property.avg_rating ? Math.round(parseFloat(property.avg_rating) * 10) / 10 : null
-      },
-      // Relative path on review-service's static /photos route — prefix with
-      // REVIEW_API_BASE_URL client-side (property-service doesn't know
-      // review-service's public URL).
-      photo_path: property.photo_filename ? `/photos/${property.photo_filename}` : null
-    }));
+      // Only what the edit actually changed -- the edit form resubmits every
+      // field, and subscribers shouldn't have to diff to find out.
+      const changedFields = Object.keys(updates).filter(
+        field => JSON.stringify(existing[field]) !== JSON.stringify(updatedProperty[field])
+      );
+      if (changedFields.length > 0) {
+        await recordPropertyEvent(client, 'property.updated', updatedProperty, { changed_fields: changedFields });
+      }
+
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
 
     res.json({
       success: true,
-      properties: formattedProperties,
-      pagination: {
-        total_count: totalCount,
-        total_pages: totalPages,
-        current_page: currentPage,
-        limit: limit,
-        offset: offset,
-        has_next: currentPage < totalPages,
-        has_previous: currentPage > 1
-      },
-      filters_applied: {
-        q,
-        city,
-        state,
-        zip_code,
-        rent_range: min_rent || max_rent ? { min: min_rent, max: max_rent } : null,
-        bedrooms_range: min_bedrooms !== undefined || max_bedrooms !== undefined ? { min: min_bedrooms, max: max_bedrooms } : null,
-        bathrooms_range: min_bathrooms || max_bathrooms ? { min: min_bathrooms, max: max_bathrooms } : null,
-        sqft_range: min_sqft || max_sqft ? { min: min_sqft, max: max_sqft } : null,
-        landlord_verified,
-        near: lat !== undefined && lng !== undefined ? { lat, lng } : null,
-        sort_by
+      message: 'Property updated successfully',
+      regeocoded: addressChanged, // queued, not done -- see geocode_status
+      property: {
+        id: updatedProperty.id,
+        address: updatedProperty.address,
+        city: updatedProperty.city,
+        state: updatedProperty.state,
+        zip_code: updatedProperty.zip_code,
+        latitude: updatedProperty.latitude,
+        longitude: updatedProperty.longitude,
+        street_view_heading: updatedProperty.street_view_heading,
+        street_view_lat: updatedProperty.street_view_lat,
+        street_view_lng: updatedProperty.street_view_lng,
+        street_view_status: updatedProperty.street_view_status,
+        street_view_pano_id: updatedProperty.street_view_pano_id,
+        street_view_capture_date: updatedProperty.street_view_capture_date,
+        street_view_copyright: updatedProperty.street_view_copyright,
+        geocode_status: updatedProperty.geocode_status,
+        rent_amount: updatedProperty.rent_amount,
+        bedrooms: updatedProperty.bedrooms,
+        bathrooms: updatedProperty.bathrooms,
+        square_feet: updatedProperty.square_feet,
+        description: updatedProperty.description,
+        amenities: updatedProperty.amenities,
+        landlord_id: updatedProperty.landlord_id,
+        landlord_verified: updatedProperty.landlord_verified,
+        created_at: updatedProperty.created_at,
+        updated_at: updatedProperty.updated_at
       }
     });
 
   } catch (error) {
-    console.error('Error searching properties:', error);
+    console.error('Error updating property:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to search properties'
+      message: 'Failed to update property'
     });
   }
-});
+};
 
-// POST /admin/geocode-properties - Backfill geocoding for properties without coordinates
-app.post('/admin/geocode-properties', requireAdminSecret, async (req, res) => {
+app.put('/properties/:id', authenticateToken, requireRole(['landlord', 'admin']), updateProperty);
+app.patch('/properties/:id', authenticateToken, requireRole(['landlord', 'admin']), updateProperty);
+
+// POST /properties/:id/archive (or DELETE /properties/:id) - Take a property
+// down without deleting the row. Reviews in review-service reference
+// property_id, so a hard DELETE would either fail the FK or orphan them --
+// archiving just hides the property from search and detail lookups while
+// every review and photo stays exactly where it is. Owning landlord or admin.
+const archiveProperty = async (req, res) => {
   try {
-    const adminSecret = req.headers['admin-secret'] || req.body.admin_secret;
-    
-    if (!adminSecret || adminSecret !== process.env.ADMIN_SECRET) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Invalid or missing admin_secret'
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
       });
     }
 
-    // Get properties missing coordinates, a Street View heading, or (for
-    // properties that already have a heading from before panorama
-    // coordinates were tracked) the panorama's own lat/lng -- those older
-    // rows still point their Static/Embed image requests at the raw
-    // property coordinates instead of the confirmed panorama, which is
-    // exactly the mismatch that could silently render as "no imagery".
-    // (limit 100 per request)
-    const query = `
-      SELECT id, address, city, state, zip_code, latitude, longitude, street_view_heading, street_view_lat, street_view_lng
-      FROM properties
-      WHERE latitude IS NULL OR longitude IS NULL OR street_view_heading IS NULL
-         OR (street_view_heading IS NOT NULL AND street_view_lat IS NULL)
-      LIMIT 100
-    `;
-
-    const result = await pool.query(query);
-    const properties = result.rows;
-
-    let geocoded = 0;
-    let failed = 0;
-
-    for (const prop of properties) {
-      try {
-        let latitude = prop.latitude;
-        let longitude = prop.longitude;
-
-        // Only re-geocode (costs a Nominatim request) if coordinates are
-        // actually missing — otherwise just fill in the heading.
-        if (latitude == null || longitude == null) {
-          const geocodeResult = await geocodeAddress(prop.address, prop.city, prop.state, prop.zip_code);
-          if (geocodeResult.success) {
-            latitude = geocodeResult.latitude;
-            longitude = geocodeResult.longitude;
-          }
-          await delay(1100); // Respect Nominatim's 1 req/sec rate limit
-        }
-
-        if (latitude == null || longitude == null) {
-          failed++;
-          continue;
-        }
+    const existingResult = await pool.query('SELECT id, landlord_id, archived_at FROM properties WHERE id = $1', [propertyId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
 
-        const streetView = await getStreetViewHeading(latitude, longitude);
-        const heading = streetView?.heading ?? null;
-        const streetViewLat = streetView?.lat ?? null;
-        const streetViewLng = streetView?.lng ?? null;
+    const existing = existingResult.rows[0];
+    if (req.user.role !== 'admin' && existing.landlord_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only archive properties you own'
+      });
+    }
 
-        await pool.query(
-          'UPDATE properties SET latitude = $1, longitude = $2, street_view_heading = $3, street_view_lat = $4, street_view_lng = $5 WHERE id = $6',
-          [latitude, longitude, heading, streetViewLat, streetViewLng, prop.id]
-        );
-        geocoded++;
-      } catch (error) {
-        console.error(`Failed to geocode property ${prop.id}:`, error);
-        failed++;
-      }
+    // Idempotent -- archiving twice keeps the original archived_at/by.
+    if (existing.archived_at) {
+      return res.json({ success: true, message: 'Property already archived', property_id: propertyId, archived_at: existing.archived_at });
     }
 
-    // Count remaining properties still missing coordinates, a heading, or panorama coords
-    const remainingResult = await pool.query(`
-      SELECT COUNT(*) as count
-      FROM properties
-      WHERE latitude IS NULL OR longitude IS NULL OR street_view_heading IS NULL
-         OR (street_view_heading IS NOT NULL AND street_view_lat IS NULL)
-    `);
-    const remaining = parseInt(remainingResult.rows[0].count);
+    const client = await pool.connect();
+    let archived;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'UPDATE properties SET archived_at = NOW(), archived_by = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [req.user.id, propertyId]
+      );
+      archived = result.rows[0];
+      await recordPropertyEvent(client, 'property.updated', archived, { changed_fields: ['archived_at'] });
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
 
     res.json({
       success: true,
-      message: 'Geocoding backfill complete',
-      geocoded,
-      failed,
-      processed: properties.length,
-      remaining,
-      timestamp: new Date().toISOString()
+      message: 'Property archived successfully',
+      property_id: propertyId,
+      archived_at: archived.archived_at
     });
 
   } catch (error) {
-    console.error('Geocoding backfill error:', error);
+    console.error('Error archiving property:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Geocoding backfill failed',
-      details: error.message
+      message: 'Failed to archive property'
     });
   }
-});
+};
 
-// GET /properties/stats - Get property statistics (bonus endpoint)
-app.get('/properties/stats', async (req, res) => {
+app.post('/properties/:id/archive', authenticateToken, requireRole(['landlord', 'admin']), archiveProperty);
+app.delete('/properties/:id', authenticateToken, requireRole(['landlord', 'admin']), archiveProperty);
+
+// POST /properties/:id/restore - Undo an archive (owning landlord or admin).
+app.post('/properties/:id/restore', authenticateToken, requireRole(['landlord', 'admin']), async (req, res) => {
   try {
-    const statsQuery = `
-      SELECT 
-        COUNT(*) as total_properties,
-        COUNT(CASE WHEN landlord_verified = true THEN 1 END) as verified_properties,
-        AVG(rent_amount) as avg_rent,
-        MIN(rent_amount) as min_rent,
-        MAX(rent_amount) as max_rent,
-        AVG(bedrooms) as avg_bedrooms,
-        AVG(bathrooms) as avg_bathrooms,
-        AVG(square_feet) as avg_sqft,
-        COUNT(DISTINCT city) as cities_count,
-        COUNT(DISTINCT state) as states_count
-      FROM properties
-      WHERE rent_amount IS NOT NULL
-    `;
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT id, landlord_id, archived_at, merged_into_id FROM properties WHERE id = $1',
+      [propertyId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
 
-    const result = await pool.query(statsQuery);
-    const stats = result.rows[0];
+    const existing = existingResult.rows[0];
+    if (req.user.role !== 'admin' && existing.landlord_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only restore properties you own'
+      });
+    }
+
+    // A merged-away duplicate's reviews and units already live on the
+    // survivor -- restoring it would only bring back an empty copy.
+    if (existing.merged_into_id) {
+      return res.status(409).json({
+        error: 'Property merged',
+        message: `This property was merged into property ${existing.merged_into_id} and can't be restored`,
+        merged_into_id: existing.merged_into_id
+      });
+    }
+
+    if (!existing.archived_at) {
+      return res.json({ success: true, message: 'Property is not archived', property_id: propertyId });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'UPDATE properties SET archived_at = NULL, archived_by = NULL, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [propertyId]
+      );
+      await recordPropertyEvent(client, 'property.updated', result.rows[0], { changed_fields: ['archived_at'] });
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
 
     res.json({
       success: true,
-      statistics: {
-        total_properties: parseInt(stats.total_properties),
-        verified_properties: parseInt(stats.verified_properties),
-        verification_rate: stats.total_properties > 0 
-          ? Math.round((stats.verified_properties / stats.total_properties) * 100) 
-          : 0,
-        rent_statistics: {
-          average: stats.avg_rent ? Math.round(parseFloat(stats.avg_rent)) : null,
-          minimum: stats.min_rent ? parseFloat(stats.min_rent) : null,
-          maximum: stats.max_rent ? parseFloat(stats.max_rent) : null
-        },
-        property_features: {
-          avg_bedrooms: stats.avg_bedrooms ? Math.round(parseFloat(stats.avg_bedrooms) * 10) / 10 : null,
-          avg_bathrooms: stats.avg_bathrooms ? Math.round(parseFloat(stats.avg_bathrooms) * 10) / 10 : null,
-          avg_square_feet: stats.avg_sqft ? Math.round(parseFloat(stats.avg_sqft)) : null
-        },
-        geographic_coverage: {
-          cities: parseInt(stats.cities_count),
-          states: parseInt(stats.states_count)
-        }
+      message: 'Property restored successfully',
+      property_id: propertyId
+    });
+
+  } catch (error) {
+    console.error('Error restoring property:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to restore property'
+    });
+  }
+});
+
+// GET /properties/:id/units - Units inside a building (PUBLIC).
+app.get('/properties/:id/units', async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    const propertyResult = await pool.query('SELECT id FROM properties WHERE id = $1 AND archived_at IS NULL', [propertyId]);
+    if (propertyResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM property_units WHERE property_id = $1 ORDER BY unit_number ASC',
+      [propertyId]
+    );
+
+    res.json({ success: true, property_id: propertyId, units: result.rows });
+
+  } catch (error) {
+    console.error('Error listing property units:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list units'
+    });
+  }
+});
+
+// POST /properties/:id/units - Add a unit to a building (owning landlord or
+// admin). The building's coordinates and Street View data are reused as-is.
+app.post('/properties/:id/units', authenticateToken, requireRole(['landlord', 'admin']), async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    const { error, value } = createUnitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const propertyResult = await pool.query('SELECT id, landlord_id, archived_at FROM properties WHERE id = $1', [propertyId]);
+    if (propertyResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
+
+    const property = propertyResult.rows[0];
+    if (req.user.role !== 'admin' && property.landlord_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only add units to properties you own'
+      });
+    }
+
+    if (property.archived_at) {
+      return res.status(409).json({
+        error: 'Property archived',
+        message: 'Restore this property before adding units'
+      });
+    }
+
+    let unit;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      unit = await insertUnit(client, propertyId, value, { recordedBy: req.user.id });
+      await recordUnitEvent(client, propertyId, unit.id, 'created', { source: 'landlord' });
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({ success: true, message: 'Unit created successfully', unit });
+
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation -- property_units_unique_number
+      return res.status(409).json({
+        error: 'Unit already exists',
+        message: 'A unit with this number already exists in this property'
+      });
+    }
+
+    console.error('Error creating property unit:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create unit'
+    });
+  }
+});
+
+// Loads a unit together with its building's owner for the edit/delete
+// routes below. Returns null when the unit doesn't exist under that building.
+async function findUnitWithOwner(propertyId, unitId) {
+  const result = await pool.query(
+    `SELECT pu.*, p.landlord_id
+     FROM property_units pu
+     JOIN properties p ON p.id = pu.property_id
+     WHERE pu.id = $1 AND pu.property_id = $2`,
+    [unitId, propertyId]
+  );
+  return result.rows[0] || null;
+}
+
+// PUT/PATCH /properties/:id/units/:unitId - Edit a unit (owning landlord or admin).
+const updateUnit = async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+    const unitId = parseInt(req.params.unitId);
+
+    if (isNaN(propertyId) || isNaN(unitId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Property ID and unit ID must be numbers'
+      });
+    }
+
+    const { error, value } = updateUnitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const existing = await findUnitWithOwner(propertyId, unitId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Unit not found',
+        message: 'No unit found with the specified ID in this property'
+      });
+    }
+
+    if (req.user.role !== 'admin' && existing.landlord_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only edit units in properties you own'
+      });
+    }
+
+    const { rent_effective_date: rentEffectiveDate, ...updates } = value;
+
+    const setClauses = [];
+    const queryParams = [];
+    let paramCount = 0;
+
+    for (const [column, columnValue] of Object.entries(updates)) {
+      paramCount++;
+      setClauses.push(`${column} = $${paramCount}`);
+      queryParams.push(columnValue);
+    }
+
+    setClauses.push('updated_at = NOW()');
+    paramCount++;
+    queryParams.push(unitId);
+
+    // See updateProperty -- rent and its history entry commit together.
+    const client = await pool.connect();
+    let updatedUnit;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE property_units SET ${setClauses.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        queryParams
+      );
+      updatedUnit = result.rows[0];
+
+      if (rentChanged(value.rent_amount, existing.rent_amount)) {
+        await recordRentChange(client, {
+          propertyId,
+          unitId,
+          rentAmount: updatedUnit.rent_amount,
+          effectiveDate: rentEffectiveDate ?? null,
+          recordedBy: req.user.id
+        });
       }
+
+      // Same as updateProperty -- only what actually changed.
+      const unitChangedFields = Object.keys(updates).filter(
+        field => JSON.stringify(existing[field]) !== JSON.stringify(updatedUnit[field])
+      );
+      if (unitChangedFields.length > 0) {
+        await recordUnitEvent(client, propertyId, unitId, 'updated', { unit_changed_fields: unitChangedFields });
+      }
+
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
+
+    res.json({ success: true, message: 'Unit updated successfully', unit: updatedUnit });
+
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation -- property_units_unique_number
+      return res.status(409).json({
+        error: 'Unit already exists',
+        message: 'A unit with this number already exists in this property'
+      });
+    }
+
+    console.error('Error updating property unit:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update unit'
     });
+  }
+};
+
+app.put('/properties/:id/units/:unitId', authenticateToken, requireRole(['landlord', 'admin']), updateUnit);
+app.patch('/properties/:id/units/:unitId', authenticateToken, requireRole(['landlord', 'admin']), updateUnit);
+
+// DELETE /properties/:id/units/:unitId - Remove a unit (owning landlord or
+// admin). Unlike properties this is a real delete: reviews reference the
+// building's property_id, never a unit, so nothing is orphaned.
+app.delete('/properties/:id/units/:unitId', authenticateToken, requireRole(['landlord', 'admin']), async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+    const unitId = parseInt(req.params.unitId);
+
+    if (isNaN(propertyId) || isNaN(unitId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Property ID and unit ID must be numbers'
+      });
+    }
+
+    const existing = await findUnitWithOwner(propertyId, unitId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Unit not found',
+        message: 'No unit found with the specified ID in this property'
+      });
+    }
+
+    if (req.user.role !== 'admin' && existing.landlord_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only delete units in properties you own'
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM property_units WHERE id = $1', [unitId]);
+      await recordUnitEvent(client, propertyId, unitId, 'deleted');
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
+
+    res.json({ success: true, message: 'Unit deleted successfully', unit_id: unitId });
 
   } catch (error) {
-    console.error('Error fetching property statistics:', error);
+    console.error('Error deleting property unit:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to fetch property statistics'
+      message: 'Failed to delete unit'
+    });
+  }
+});
+
+// GET /properties/:id/rent-history - Every recorded asking-rent change for
+// a building and its units (PUBLIC), oldest first. Each entry carries the
+// change from the previous entry for the same listing (the building itself,
+// or one unit). unit_id narrows it to one unit.
+const rentHistoryQuerySchema = Joi.object({
+  unit_id: Joi.number().integer().positive()
+});
+
+app.get('/properties/:id/rent-history', async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    const { error, value } = rentHistoryQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const propertyResult = await pool.query('SELECT id FROM properties WHERE id = $1 AND archived_at IS NULL', [propertyId]);
+    if (propertyResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
+
+    const queryParams = [propertyId];
+    let unitCondition = '';
+    if (value.unit_id !== undefined) {
+      queryParams.push(value.unit_id);
+      unitCondition = 'AND rh.unit_id = $2';
+    }
+
+    const result = await pool.query(
+      `SELECT
+         rh.id,
+         rh.unit_id,
+         pu.unit_number,
+         rh.rent_amount,
+         LAG(rh.rent_amount) OVER listing_history AS previous_rent_amount,
+         rh.effective_date::text AS effective_date, -- a bare DATE, not a timezone-shifted timestamp
+         rh.source,
+         rh.created_at
+       FROM rent_history rh
+       LEFT JOIN property_units pu ON pu.id = rh.unit_id
+       WHERE rh.property_id = $1 ${unitCondition}
+       WINDOW listing_history AS (PARTITION BY rh.unit_id ORDER BY rh.effective_date, rh.id)
+       ORDER BY rh.effective_date ASC, rh.id ASC`,
+      queryParams
+    );
+
+    const history = result.rows.map(entry => {
+      const rent = parseFloat(entry.rent_amount);
+      const previous = entry.previous_rent_amount != null ? parseFloat(entry.previous_rent_amount) : null;
+      return {
+        id: entry.id,
+        unit_id: entry.unit_id,
+        unit_number: entry.unit_number,
+        rent_amount: rent,
+        previous_rent_amount: previous,
+        change_percent: previous ? Math.round((rent / previous - 1) * 10000) / 100 : null,
+        effective_date: entry.effective_date,
+        source: entry.source,
+        recorded_at: entry.created_at
+      };
+    });
+
+    res.json({ success: true, property_id: propertyId, history });
+
+  } catch (error) {
+    console.error('Error fetching rent history:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch rent history'
     });
   }
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🏠 Property service running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+// GET /properties/:id/street-view.jpg - The property's Street View image
+// (PUBLIC), fetched server-side and cached on disk (see streetViewImage.js)
+// so clients can use it as a plain <img src> without a Google key of their
+// own. Properties without imagery -- confirmed no_coverage, not looked up
+// yet, or Google's placeholder -- get the configured fallback image, or a
+// 404 if there isn't one.
+const streetViewImageSchema = Joi.object({
+  width: Joi.number().integer().min(64).max(640).default(640),
+  height: Joi.number().integer().min(64).max(640).default(400),
+  fov: Joi.number().min(10).max(120).default(90),
+  pitch: Joi.number().min(-90).max(90).default(0)
+});
+
+// Generous -- cache hits are cheap, and one results page loads one image
+// per property.
+const streetViewImageLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  message: { error: 'Too many requests', message: 'Please slow down and try again shortly' }
 });
 
+async function sendStreetViewFallback(res, cacheControl) {
+  const fallback = await getFallbackImage();
+  if (!fallback) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No Street View imagery for this property'
+    });
+  }
+  res.set({ 'Content-Type': fallback.contentType, 'Cache-Control': cacheControl, 'X-Street-View': 'fallback' });
+  res.send(fallback.body);
+}
+
+app.get('/properties/:id/street-view.jpg', streetViewImageLimiter, async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    const { error, value } = streetViewImageSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT id, archived_at, merged_into_id, street_view_status, street_view_heading,
+              street_view_lat, street_view_lng, street_view_pano_id
+       FROM properties WHERE id = $1`,
+      [propertyId]
+    );
+    const property = result.rows[0];
+
+    // Same redirect as GET /properties/:id, so saved image URLs keep working.
+    if (property?.merged_into_id) {
+      const query = new URLSearchParams(req.query).toString();
+      return res.redirect(301, `/properties/${property.merged_into_id}/street-view.jpg${query ? `?${query}` : ''}`);
+    }
+
+    if (!property || property.archived_at) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
+
+    // Served to other origins' <img> tags -- helmet's default same-origin
+    // resource policy would have the browser refuse it.
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    // Rows from before street_view_status existed can still have a usable
+    // heading and panorama, so those are what decide it -- not the status.
+    const hasPanorama = property.street_view_heading != null && property.street_view_lat != null
+      && property.street_view_status !== 'no_coverage';
+    if (!hasPanorama || !isStreetViewImageConfigured()) {
+      return sendStreetViewFallback(res, 'public, max-age=3600');
+    }
+
+    const image = await getStreetViewImage(property, value).catch(fetchError => {
+      console.error(`Street View image fetch failed for property ${propertyId}:`, fetchError.message);
+      return null;
+    });
+
+    if (!image) {
+      // Nothing was cached, so the next request tries again.
+      return sendStreetViewFallback(res, 'no-store');
+    }
+    if (image.status === 'no_coverage') {
+      return sendStreetViewFallback(res, 'public, max-age=3600');
+    }
+
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'public, max-age=86400',
+      'X-Street-View': image.cached ? 'cached' : 'fetched'
+    });
+    res.send(image.image);
+
+  } catch (error) {
+    console.error('Error serving Street View image:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to load Street View image'
+    });
+  }
+});
+
+// POST /properties/:id/favorite - Bookmark a property for the authenticated
+// user. Idempotent: 201 the first time, 200 if it was already a favorite.
+app.post('/properties/:id/favorite', authenticateToken, async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    // Merged-away rows are archived too, so they 404 here as well.
+    const propertyResult = await pool.query('SELECT id FROM properties WHERE id = $1 AND archived_at IS NULL', [propertyId]);
+    if (propertyResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO property_favorites (user_id, property_id) VALUES ($1, $2)
+       ON CONFLICT (user_id, property_id) DO NOTHING
+       RETURNING created_at`,
+      [req.user.id, propertyId]
+    );
+    const created = inserted.rows.length > 0;
+    const favorite = created
+      ? inserted.rows[0]
+      : (await pool.query(
+        'SELECT created_at FROM property_favorites WHERE user_id = $1 AND property_id = $2',
+        [req.user.id, propertyId]
+      )).rows[0];
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Property added to favorites' : 'Property is already a favorite',
+      property_id: propertyId,
+      favorited_at: favorite?.created_at ?? null
+    });
+
+  } catch (error) {
+    console.error('Error adding favorite:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to add favorite'
+    });
+  }
+});
+
+// DELETE /properties/:id/favorite - Remove a property from the
+// authenticated user's favorites. Works on archived properties too, so a
+// favorite that was archived can still be cleared.
+app.delete('/properties/:id/favorite', authenticateToken, async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM property_favorites WHERE user_id = $1 AND property_id = $2 RETURNING property_id',
+      [req.user.id, propertyId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Favorite not found',
+        message: 'This property is not in your favorites'
+      });
+    }
+
+    res.json({ success: true, message: 'Property removed from favorites', property_id: propertyId });
+
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to remove favorite'
+    });
+  }
+});
+
+// POST /properties/:id/claims - A landlord claims an unowned,
+// community-submitted property. The claim just waits as pending until an
+// admin approves or rejects it -- nothing about the property changes yet.
+app.post('/properties/:id/claims', authenticateToken, requireRole(['landlord']), async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    // Re-check verification status live against the DB rather than trusting
+    // the JWT -- same reasoning as POST /properties.
+    const verifiedCheck = await pool.query('SELECT email_verified FROM users WHERE id = $1', [req.user.id]);
+    if (verifiedCheck.rows.length === 0 || !verifiedCheck.rows[0].email_verified) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please verify your email before claiming a property.'
+      });
+    }
+
+    const { error, value } = claimPropertySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const propertyResult = await pool.query(
+      'SELECT id, landlord_id FROM properties WHERE id = $1 AND archived_at IS NULL',
+      [propertyId]
+    );
+    if (propertyResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
+
+    if (propertyResult.rows[0].landlord_id !== null) {
+      return res.status(409).json({
+        error: 'Property already owned',
+        message: 'This property already has a landlord and cannot be claimed'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO property_claims (property_id, landlord_id, evidence, evidence_urls, description)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [propertyId, req.user.id, value.evidence, value.evidence_urls, value.description ?? null]
+    );
+
+    res.status(201).json({ success: true, message: 'Claim submitted for review', claim: result.rows[0] });
+
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation -- property_claims_one_pending
+      return res.status(409).json({
+        error: 'Claim already pending',
+        message: 'You already have a pending claim on this property'
+      });
+    }
+
+    console.error('Error submitting property claim:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to submit claim'
+    });
+  }
+});
+
+// GET /claims - Landlords see their own claims; admins see every claim and
+// can filter by ?status=pending to work through the review queue.
+app.get('/claims', authenticateToken, requireRole(['landlord', 'admin']), async (req, res) => {
+  try {
+    const status = req.query.status;
+    if (status !== undefined && !['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: 'status must be one of pending, approved, rejected'
+      });
+    }
+
+    const whereConditions = [];
+    const queryParams = [];
+
+    if (req.user.role !== 'admin') {
+      queryParams.push(req.user.id);
+      whereConditions.push(`c.landlord_id = $${queryParams.length}`);
+    }
+
+    if (status) {
+      queryParams.push(status);
+      whereConditions.push(`c.status = $${queryParams.length}`);
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const result = await pool.query(`
+      SELECT
+        c.*,
+        p.address,
+        p.city,
+        p.state,
+        p.zip_code,
+        u.first_name as landlord_first_name,
+        u.last_name as landlord_last_name,
+        u.email as landlord_email
+      FROM property_claims c
+      JOIN properties p ON p.id = c.property_id
+      JOIN users u ON u.id = c.landlord_id
+      ${whereClause}
+      ORDER BY c.created_at ASC
+    `, queryParams);
+
+    res.json({ success: true, claims: result.rows });
+
+  } catch (error) {
+    console.error('Error listing property claims:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list claims'
+    });
+  }
+});
+
+// POST /claims/:id/approve - Admin approves a pending claim: the property
+// becomes owned by (and verified for) the claiming landlord, and the
+// community placeholder description is replaced. Any other pending claims on
+// the same property are rejected in the same transaction, since there can
+// only be one owner.
+app.post('/claims/:id/approve', authenticateToken, requireRole(['admin']), async (req, res) => {
+  const claimId = parseInt(req.params.id);
+
+  if (isNaN(claimId)) {
+    return res.status(400).json({
+      error: 'Invalid claim ID',
+      message: 'Claim ID must be a number'
+    });
+  }
+
+  const { error, value } = reviewClaimSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const claimResult = await client.query('SELECT * FROM property_claims WHERE id = $1 FOR UPDATE', [claimId]);
+    if (claimResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Claim not found', message: 'No claim found with the specified ID' });
+    }
+
+    const claim = claimResult.rows[0];
+    if (claim.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Claim already reviewed', message: `This claim was already ${claim.status}` });
+    }
+
+    const propertyResult = await client.query('SELECT * FROM properties WHERE id = $1 FOR UPDATE', [claim.property_id]);
+    const property = propertyResult.rows[0];
+    if (property.landlord_id !== null) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Property already owned',
+        message: 'This property was claimed or listed by another landlord in the meantime'
+      });
+    }
+
+    // Only the placeholder gets replaced -- if an admin already edited the
+    // description into something real, keep it unless the claim brought one.
+    const description = claim.description
+      ?? (property.description === COMMUNITY_PLACEHOLDER_DESCRIPTION ? null : property.description);
+
+    const updatedProperty = await client.query(
+      `UPDATE properties
+       SET landlord_id = $1, landlord_verified = TRUE, description = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [claim.landlord_id, description, claim.property_id]
+    );
+
+    const updatedClaim = await client.query(
+      `UPDATE property_claims
+       SET status = 'approved', reviewed_by = $1, reviewed_at = NOW(), review_notes = $2
+       WHERE id = $3
+       RETURNING *`,
+      [req.user.id, value.notes ?? null, claimId]
+    );
+
+    await client.query(
+      `UPDATE property_claims
+       SET status = 'rejected', reviewed_by = $1, reviewed_at = NOW(), review_notes = 'Another claim on this property was approved'
+       WHERE property_id = $2 AND status = 'pending' AND id <> $3`,
+      [req.user.id, claim.property_id, claimId]
+    );
+
+    await recordPropertyEvent(client, 'property.claimed', updatedProperty.rows[0], { claim_id: claimId });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Claim approved',
+      claim: updatedClaim.rows[0],
+      property: updatedProperty.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error approving property claim:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to approve claim'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /claims/:id/reject - Admin rejects a pending claim. The property is
+// untouched, and the landlord is free to submit a new claim with better
+// evidence.
+app.post('/claims/:id/reject', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id);
+
+    if (isNaN(claimId)) {
+      return res.status(400).json({
+        error: 'Invalid claim ID',
+        message: 'Claim ID must be a number'
+      });
+    }
+
+    const { error, value } = reviewClaimSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await pool.query(
+      `UPDATE property_claims
+       SET status = 'rejected', reviewed_by = $1, reviewed_at = NOW(), review_notes = $2
+       WHERE id = $3 AND status = 'pending'
+       RETURNING *`,
+      [req.user.id, value.notes ?? null, claimId]
+    );
+
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT status FROM property_claims WHERE id = $1', [claimId]);
+      if (exists.rows.length === 0) {
+        return res.status(404).json({ error: 'Claim not found', message: 'No claim found with the specified ID' });
+      }
+      return res.status(409).json({ error: 'Claim already reviewed', message: `This claim was already ${exists.rows[0].status}` });
+    }
+
+    res.json({ success: true, message: 'Claim rejected', claim: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error rejecting property claim:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reject claim'
+    });
+  }
+});
+
+// Literal /properties/<name> GET routes have to be registered before
+// /properties/:id below, or Express hands them to it as an id. Their
+// handlers live next to the search route whose filters they share.
+app.get('/properties/clusters', getPropertyClusters);
+app.get('/properties/stats', optionalAuthenticateToken, getPropertyStats);
+app.get('/properties/imports', authenticateToken, requireRole(['landlord', 'admin']), listPropertyImports);
+app.get('/properties/export', authenticateToken, exportLimiter, exportProperties);
+
+// GET /properties/:id - Get a specific property by ID. Archived properties
+// 404 like they don't exist, except for admins passing include_archived=true.
+app.get('/properties/:id', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+    
+    if (isNaN(propertyId)) {
+      return res.status(400).json({
+        error: 'Invalid property ID',
+        message: 'Property ID must be a number'
+      });
+    }
+
+    const includeArchived = req.query.include_archived === 'true';
+    if (includeArchived && req.user?.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'include_archived is only available to admins'
+      });
+    }
+
+    // Get property with landlord information
+    const query = `
+      SELECT 
+        p.*,
+        u.first_name as landlord_first_name,
+        u.last_name as landlord_last_name,
+        u.email as landlord_email
+      FROM properties p
+      LEFT JOIN users u ON p.landlord_id = u.id
+      WHERE p.id = $1
+    `;
+
+    const result = await pool.query(query, [propertyId]);
+    const property = result.rows[0];
+
+    // Merged away by an admin -- old links (and review-service rows that
+    // haven't been refreshed) still use this id, so point them at the
+    // survivor. Checked before the archive filter since merged rows are
+    // archived too.
+    if (property?.merged_into_id) {
+      return res.status(301)
+        .location(`/properties/${property.merged_into_id}`)
+        .json({
+          error: 'Property merged',
+          message: 'This property was merged into another property',
+          merged_into_id: property.merged_into_id
+        });
+    }
+
+    if (!property || (property.archived_at && !includeArchived)) {
+      return res.status(404).json({
+        error: 'Property not found',
+        message: 'No property found with the specified ID'
+      });
+    }
+
+    const unitsResult = await pool.query(
+      'SELECT * FROM property_units WHERE property_id = $1 ORDER BY unit_number ASC',
+      [propertyId]
+    );
+
+    // Only signed-in callers get is_favorited -- anonymous responses leave it out.
+    const favoriteResult = req.user
+      ? await pool.query('SELECT 1 FROM property_favorites WHERE user_id = $1 AND property_id = $2', [req.user.id, propertyId])
+      : null;
+
+    res.json({
+      success: true,
+      property: {
+        id: property.id,
+        address: property.address,
+        city: property.city,
+        state: property.state,
+        zip_code: property.zip_code,
+        latitude: property.latitude,
+        longitude: property.longitude,
+        street_view_heading: property.street_view_heading,
+        street_view_lat: property.street_view_lat,
+        street_view_lng: property.street_view_lng,
+        street_view_status: property.street_view_status,
+        street_view_pano_id: property.street_view_pano_id,
+        street_view_capture_date: property.street_view_capture_date,
+        street_view_copyright: property.street_view_copyright,
+        geocode_status: property.geocode_status,
+        rent_amount: property.rent_amount,
+        bedrooms: property.bedrooms,
+        bathrooms: property.bathrooms,
+        square_feet: property.square_feet,
+        description: property.description,
+        amenities: property.amenities,
+        landlord_verified: property.landlord_verified,
+        created_at: property.created_at,
+        updated_at: property.updated_at,
+        archived_at: property.archived_at,
+        ...(favoriteResult ? { is_favorited: favoriteResult.rows.length > 0 } : {}),
+        landlord: {
+          id: property.landlord_id,
+          first_name: property.landlord_first_name,
+          last_name: property.landlord_last_name,
+          email: property.landlord_email
+        },
+        units: unitsResult.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching property:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch property'
+    });
+  }
+});
+
+// Map viewport bounds as "min_lng,min_lat,max_lng,max_lat" (the order
+// Mapbox/Leaflet's getBounds().toBBoxString() produce). min_lng > max_lng is
+// allowed and means the box crosses the antimeridian.
+const bboxSchema = Joi.string().custom((rawValue, helpers) => {
+  const parts = rawValue.split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    return helpers.error('bbox.format');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if ([minLng, maxLng].some(v => v < -180 || v > 180) || [minLat, maxLat].some(v => v < -90 || v > 90)) {
+    return helpers.error('bbox.range');
+  }
+  if (minLat > maxLat) {
+    return helpers.error('bbox.order');
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+}, 'Bounding box').messages({
+  'bbox.format': 'bbox must be four comma-separated numbers: min_lng,min_lat,max_lng,max_lat',
+  'bbox.range': 'bbox longitudes must be within -180..180 and latitudes within -90..90',
+  'bbox.order': 'bbox min_lat must be less than or equal to max_lat'
+});
+
+// Comma-separated amenities from the AMENITIES vocabulary, e.g.
+// "pets_allowed,in_unit_laundry". Validates to a deduplicated array.
+const amenityListSchema = Joi.string().custom((rawValue, helpers) => {
+  const amenities = [...new Set(rawValue.split(',').map(amenity => amenity.trim()).filter(Boolean))];
+  if (amenities.length === 0) {
+    return helpers.error('amenities.empty');
+  }
+
+  const unknown = amenities.filter(amenity => !AMENITIES.includes(amenity));
+  if (unknown.length > 0) {
+    return helpers.error('amenities.unknown', { unknown: unknown.join(', ') });
+  }
+
+  return amenities;
+}, 'Amenity list').messages({
+  'amenities.empty': '{{#label}} must list at least one amenity',
+  'amenities.unknown': `{{#label}} has unknown amenities ({{#unknown}}); valid values are ${AMENITIES.join(', ')}`
+});
+
+// format=geojson is meant for drawing every property in the visible map
+// area at once, so it ignores limit/offset -- but still stops somewhere,
+// with truncated: true telling the map to zoom in (or use /clusters).
+const GEOJSON_MAX_FEATURES = 5000;
+
+// Validation schema for property search query parameters
+const searchPropertiesSchema = Joi.object({
+  // Free-text search across address/city/state/zip combined — lets a full
+  // address (from autocomplete) match an existing property even though no
+  // single column contains the whole string. See tokenized matching below.
+  // A q made only of generic tokens ("St", "N Ave") is rejected -- see
+  // searchQueryText in address.js.
+  q: Joi.string().trim().min(1).max(300).custom((rawValue, helpers) => (
+    searchQueryText(rawValue) ? rawValue : helpers.error('q.generic')
+  )).messages({ 'q.generic': 'q must contain more than street suffixes or directions' }),
+  city: Joi.string().min(2).max(100),
+  state: Joi.string().min(2).max(50),
+  zip_code: Joi.string().pattern(/^\d{5}(-\d{4})?$/),
+  min_rent: Joi.number().positive().max(50000),
+  max_rent: Joi.number().positive().max(50000),
+  min_bedrooms: Joi.number().integer().min(0).max(20),
+  max_bedrooms: Joi.number().integer().min(0).max(20),
+  min_bathrooms: Joi.number().positive().precision(1).max(20),
+  max_bathrooms: Joi.number().positive().precision(1).max(20),
+  min_sqft: Joi.number().integer().positive().max(50000),
+  max_sqft: Joi.number().integer().positive().max(50000),
+  landlord_verified: Joi.boolean(),
+  // amenities requires every listed amenity, amenities_any at least one of
+  // them. Both can be combined ("pets allowed, plus laundry of either kind").
+  amenities: amenityListSchema,
+  amenities_any: amenityListSchema,
+  // Admin-only (enforced in the route, since it depends on the caller) --
+  // archived properties are otherwise excluded from every search.
+  include_archived: Joi.boolean().default(false),
+  // "Near me" search -- when both are present, results are filtered to
+  // properties with known coordinates and can be sorted by distance from
+  // this point (sort_by=distance).
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  // Map viewport search -- only properties with coordinates inside the box.
+  bbox: bboxSchema,
+  format: Joi.string().valid('json', 'geojson').default('json'),
+  // relevance only means something with q; it's also the default then.
+  sort_by: Joi.string().valid('relevance', 'rent_asc', 'rent_desc', 'newest', 'oldest', 'sqft_asc', 'sqft_desc', 'distance',
+    'rent_change_asc', 'rent_change_desc'),
+  // Window for each result's rent_change (current rent vs. the rent in
+  // effect this many months ago, from rent_history) and the rent_change sorts.
+  rent_change_months: Joi.number().integer().min(1).max(120).default(12),
+  // buildings (default) returns one row per property with its units rolled
+  // up; units returns one row per unit, each carrying its building's
+  // location and review stats.
+  result_type: Joi.string().valid('buildings', 'units').default('buildings'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+  // Keyset pagination: pagination=cursor for the first page, then pass back
+  // the next_cursor/previous_cursor from the response (which implies cursor
+  // mode). offset is ignored in cursor mode.
+  pagination: Joi.string().valid('offset', 'cursor').default('offset'),
+  cursor: Joi.string().max(1000),
+  // The COUNT(*) behind total_count is a second full scan of the matches --
+  // skippable, and skipped by default in cursor mode.
+  include_total: Joi.boolean()
+}).custom((value, helpers) => {
+  // Custom validation to ensure logical ranges
+  if (value.min_rent && value.max_rent && value.min_rent >= value.max_rent) {
+    return helpers.error('custom.rentRange');
+  }
+  if (value.min_bedrooms !== undefined && value.max_bedrooms !== undefined && value.min_bedrooms > value.max_bedrooms) {
+    return helpers.error('custom.bedroomsRange');
+  }
+  if (value.min_bathrooms && value.max_bathrooms && value.min_bathrooms > value.max_bathrooms) {
+    return helpers.error('custom.bathroomsRange');
+  }
+  if (value.min_sqft && value.max_sqft && value.min_sqft > value.max_sqft) {
+    return helpers.error('custom.sqftRange');
+  }
+  return value;
+}, 'Range validation').messages({
+  'custom.rentRange': 'min_rent must be less than max_rent',
+  'custom.bedroomsRange': 'min_bedrooms must be less than or equal to max_bedrooms',
+  'custom.bathroomsRange': 'min_bathrooms must be less than max_bathrooms',
+  'custom.sqftRange': 'min_sqft must be less than max_sqft'
+});
+
+// Haversine distance in miles from the point in params $latParam/$lngParam
+// to each property p.
+function distanceMilesExpr(latParam, lngParam) {
+  return `(3959 * acos(
+    LEAST(1, GREATEST(-1,
+      cos(radians($${latParam})) * cos(radians(p.latitude)) *
+      cos(radians(p.longitude) - radians($${lngParam})) +
+      sin(radians($${latParam})) * sin(radians(p.latitude))
+    ))
+  ))`;
+}
+
+// Opaque keyset cursors: base64url JSON holding the sort the cursor belongs
+// to, the boundary row's sort value (as Postgres text, so timestamps and
+// floats round-trip exactly) and id, and which way to page from it.
+function encodeCursor(sortBy, sortValue, id, direction) {
+  return Buffer.from(JSON.stringify({ s: sortBy, v: sortValue, i: id, d: direction })).toString('base64url');
+}
+
+// Returns null for anything that isn't a cursor we issued.
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.s !== 'string' || !Number.isInteger(decoded.i) || !['next', 'prev'].includes(decoded.d)) {
+      return null;
+    }
+    if (decoded.v !== null && typeof decoded.v !== 'string') return null;
+    return decoded;
+  } catch (e) {
+    return null;
+  }
+}
+
+// WHERE condition selecting the rows strictly after (sortValue, id) in the
+// order `ORDER BY expr dir NULLS LAST|FIRST, idExpr dir`. NULL sort values
+// (rent/sqft can be missing) need their own branches since NULL never
+// compares equal or greater than anything.
+//
+// The expression is compared as `cast`, the same type cursor_sort_value is
+// written out as -- word_similarity() is a float4, and its text form read
+// back as float8 isn't equal to the float4 widened, so without the cast the
+// boundary row and everything tied with it would come round again.
+function keysetCondition({ expr: rawExpr, idExpr, dir, nullsLast, cast }, sortValueParam, idParam, sortValueIsNull) {
+  const expr = `(${rawExpr})::${cast}`;
+  const cmp = dir === 'ASC' ? '>' : '<';
+  const value = `$${sortValueParam}::${cast}`;
+  const id = `$${idParam}`;
+
+  if (sortValueIsNull) {
+    return nullsLast
+      ? `(${expr} IS NULL AND ${idExpr} ${cmp} ${id})`
+      : `((${expr} IS NULL AND ${idExpr} ${cmp} ${id}) OR ${expr} IS NOT NULL)`;
+  }
+
+  const afterValue = `(${expr} ${cmp} ${value} OR (${expr} = ${value} AND ${idExpr} ${cmp} ${id}))`;
+  return nullsLast ? `(${afterValue} OR ${expr} IS NULL)` : afterValue;
+}
+
+// GET /properties - Search properties with filtering. Also behind GET
+// /favorites (favoritesOnly), so the favorites list comes back in exactly
+// this shape, with the same filters, sorts and paging.
+async function searchProperties(req, res, { favoritesOnly = false } = {}) {
+  try {
+    // Validate query parameters
+    const { error, value } = searchPropertiesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid search parameters',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const {
+      q,
+      city,
+      state,
+      zip_code,
+      min_rent,
+      max_rent,
+      min_bedrooms,
+      max_bedrooms,
+      min_bathrooms,
+      max_bathrooms,
+      min_sqft,
+      max_sqft,
+      landlord_verified,
+      include_archived,
+      lat,
+      lng,
+      sort_by = q ? 'relevance' : 'newest',
+      result_type,
+      bbox,
+      format,
+      cursor,
+      limit = 20,
+      offset = 0
+    } = value;
+
+    if (include_archived && req.user?.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'include_archived is only available to admins'
+      });
+    }
+
+    // GeoJSON already returns everything in one go, so it never pages.
+    const cursorMode = format !== 'geojson' && (value.pagination === 'cursor' || cursor !== undefined);
+    const includeTotal = value.include_total ?? !cursorMode;
+
+    let decodedCursor = null;
+    if (cursorMode && cursor !== undefined) {
+      decodedCursor = decodeCursor(cursor);
+      if (!decodedCursor || decodedCursor.s !== sort_by) {
+        return res.status(400).json({
+          error: 'Invalid search parameters',
+          details: ['cursor is invalid or was issued for a different sort_by']
+        });
+      }
+    }
+
+    // Build dynamic WHERE clause
+    const { whereConditions, queryParams, relevanceExpr } = buildSearchFilters(value, {
+      // GeoJSON features need a point, same as distance search.
+      requireCoordinates: format === 'geojson',
+      favoritedBy: favoritesOnly ? req.user.id : null
+    });
+    let paramCount = queryParams.length;
+
+    // Every param up to here is referenced somewhere in whereConditions, so
+    // the count query (which shares whereClause but has no SELECT list of
+    // its own) needs exactly this many -- snapshot it before adding params
+    // that are only used in the search query's SELECT/ORDER BY/LIMIT.
+    const whereParamCount = paramCount;
+
+    // "Near me" search -- Haversine distance in miles from (lat, lng). Only
+    // used in the SELECT list (and ORDER BY, for sort_by=distance), never in
+    // whereConditions, so these placeholders must come after whereParamCount
+    // above or the count query ends up with unreferenced extra params and
+    // Postgres rejects the whole query.
+    let distanceSelectExpr = 'NULL';
+    if (lat !== undefined && lng !== undefined) {
+      paramCount++;
+      const latParam = paramCount;
+      queryParams.push(lat);
+      paramCount++;
+      const lngParam = paramCount;
+      queryParams.push(lng);
+
+      distanceSelectExpr = distanceMilesExpr(latParam, lngParam);
+    }
+
+    // is_favorited, for signed-in callers only -- SELECT-only as well.
+    let favoritedSelectExpr = 'NULL';
+    if (req.user) {
+      paramCount++;
+      queryParams.push(req.user.id);
+      favoritedSelectExpr = `EXISTS (SELECT 1 FROM property_favorites f WHERE f.property_id = p.id AND f.user_id = $${paramCount})`;
+    }
+
+    // Rent change over the last rent_change_months: the listing's current
+    // rent against the rent_history entry in effect at the start of the
+    // window. NULL when nothing was recorded that far back, so listings
+    // newer than the window neither rank first nor last by accident --
+    // they sort after everything with a known change.
+    paramCount++;
+    const rentChangeMonthsParam = paramCount;
+    queryParams.push(value.rent_change_months);
+
+    const listingHistoryCondition = result_type === 'units' ? 'rh.unit_id = pu.id' : 'rh.unit_id IS NULL';
+    const pastRentExpr = `(
+      SELECT rh.rent_amount FROM rent_history rh
+      WHERE rh.property_id = p.id AND ${listingHistoryCondition}
+        AND rh.effective_date <= CURRENT_DATE - make_interval(months => $${rentChangeMonthsParam}::int)
+      ORDER BY rh.effective_date DESC, rh.id DESC
+      LIMIT 1
+    )`;
+    const rentChangeExpr = `ROUND((${result_type === 'units' ? 'pu' : 'p'}.rent_amount / NULLIF(${pastRentExpr}, 0) - 1) * 100, 2)`;
+
+    // Build WHERE clause
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    // Build ORDER BY clause -- rent/sqft/recency come from the unit itself
+    // in units mode. Every sort ends with the row's own id so the order is
+    // total, which keyset pagination depends on (and which keeps offset
+    // pages from shuffling rows with equal rent/sqft between requests).
+    const listing = result_type === 'units' ? 'pu' : 'p';
+    const sortSpec = (expr, dir, cast) => ({ expr, idExpr: `${listing}.id`, dir, nullsLast: true, cast });
+    const newestSort = sortSpec(`${listing}.created_at`, 'DESC', 'timestamp');
+    const sortSpecs = {
+      // Relevance without q, or distance without a point to measure from,
+      // fall back to newest first.
+      relevance: relevanceExpr ? sortSpec(relevanceExpr, 'DESC', 'float8') : newestSort,
+      distance: (lat !== undefined && lng !== undefined) ? sortSpec(distanceSelectExpr, 'ASC', 'float8') : newestSort,
+      rent_asc: sortSpec(`${listing}.rent_amount`, 'ASC', 'numeric'),
+      rent_desc: sortSpec(`${listing}.rent_amount`, 'DESC', 'numeric'),
+      sqft_asc: sortSpec(`${listing}.square_feet`, 'ASC', 'integer'),
+      sqft_desc: sortSpec(`${listing}.square_feet`, 'DESC', 'integer'),
+      rent_change_asc: sortSpec(rentChangeExpr, 'ASC', 'numeric'),
+      rent_change_desc: sortSpec(rentChangeExpr, 'DESC', 'numeric'),
+      oldest: sortSpec(`${listing}.created_at`, 'ASC', 'timestamp'),
+      newest: newestSort
+    };
+    const sort = sortSpecs[sort_by] || newestSort;
+
+    // Paging backwards walks the same order reversed (NULLS flip too), then
+    // the rows are flipped back before responding.
+    const pagingBackwards = decodedCursor?.d === 'prev';
+    const querySort = pagingBackwards
+      ? { ...sort, dir: sort.dir === 'ASC' ? 'DESC' : 'ASC', nullsLast: !sort.nullsLast }
+      : sort;
+    const orderClause = `ORDER BY ${querySort.expr} ${querySort.dir} NULLS ${querySort.nullsLast ? 'LAST' : 'FIRST'}, ${querySort.idExpr} ${querySort.dir}`;
+
+    // The keyset condition only narrows the page, not the match set, so it
+    // goes on the search query alone -- after whereParamCount, like the
+    // distance params.
+    let searchWhereClause = whereClause;
+    if (decodedCursor) {
+      paramCount++;
+      const sortValueParam = paramCount;
+      queryParams.push(decodedCursor.v);
+      paramCount++;
+      const idParam = paramCount;
+      queryParams.push(decodedCursor.i);
+
+      const condition = keysetCondition(querySort, sortValueParam, idParam, decodedCursor.v === null);
+      searchWhereClause = whereClause ? `${whereClause} AND ${condition}` : `WHERE ${condition}`;
+    }
+
+    // Add pagination parameters. One extra row is fetched whenever there's
+    // no total to derive has_next from -- and always in cursor mode, where a
+    // total can't say whether anything lies past this particular cursor.
+    const pageLimit = format === 'geojson' ? GEOJSON_MAX_FEATURES : limit;
+    const pageOffset = format === 'geojson' || cursorMode ? 0 : offset;
+    const fetchLimit = includeTotal && !cursorMode ? pageLimit : pageLimit + 1;
+
+    paramCount++;
+    const limitParam = `$${paramCount}`;
+    queryParams.push(fetchLimit);
+    
+    paramCount++;
+    const offsetParam = `$${paramCount}`;
+    queryParams.push(pageOffset);
+
+    // Units mode walks property_units and joins each unit's building for
+    // location, landlord and reviews; buildings mode instead rolls each
+    // building's units up into a count and rent range.
+    const fromClause = result_type === 'units'
+      ? 'FROM property_units pu JOIN properties p ON p.id = pu.property_id'
+      : 'FROM properties p';
+    const unitSelect = result_type === 'units'
+      ? `pu.id as unit_id,
+        pu.unit_number,`
+      : `(SELECT COUNT(*) FROM property_units pu WHERE pu.property_id = p.id) as unit_count,
+        (SELECT MIN(pu.rent_amount) FROM property_units pu WHERE pu.property_id = p.id) as unit_min_rent,
+        (SELECT MAX(pu.rent_amount) FROM property_units pu WHERE pu.property_id = p.id) as unit_max_rent,`;
+    const groupByClause = result_type === 'units' ? 'GROUP BY pu.id, p.id, u.id' : 'GROUP BY p.id, u.id';
+
+    // Main search query
+    const searchQuery = `
+      SELECT 
+        p.id,
+        p.address,
+        p.city,
+        p.state,
+        p.zip_code,
+        p.latitude,
+        p.longitude,
+        p.street_view_heading,
+        p.street_view_lat,
+        p.street_view_lng,
+        p.street_view_status,
+        p.street_view_pano_id,
+        p.street_view_capture_date,
+        p.street_view_copyright,
+        p.geocode_status,
+        ${listing}.rent_amount,
+        ${listing}.bedrooms,
+        ${listing}.bathrooms,
+        ${listing}.square_feet,
+        ${listing}.description,
+        p.amenities,
+        p.landlord_verified,
+        ${listing}.created_at,
+        p.archived_at,
+        ${unitSelect}
+        ${distanceSelectExpr} AS distance_miles,
+        ${favoritedSelectExpr} AS is_favorited,
+        ${pastRentExpr} AS rent_change_from_amount,
+        ${rentChangeExpr} AS rent_change_percent,
+        ((${sort.expr})::${sort.cast})::text AS cursor_sort_value,
+        ${listing}.id AS cursor_id,
+        u.first_name as landlord_first_name,
+        u.last_name as landlord_last_name,
+        u.email as landlord_email,
+        COUNT(r.id) as review_count,
+        AVG(r.overall_rating) as avg_rating,
+        (
+          SELECT rp.filename FROM review_photos rp
+          JOIN reviews rv ON rv.id = rp.review_id
+          WHERE rv.property_id = p.id
+          ORDER BY rp.created_at DESC
+          LIMIT 1
+        ) as photo_filename
+      ${fromClause}
+      LEFT JOIN users u ON p.landlord_id = u.id
+      LEFT JOIN reviews r ON r.property_id = p.id
+      ${searchWhereClause}
+      ${groupByClause}
+      ${orderClause}
+      LIMIT ${limitParam} OFFSET ${offsetParam}
+    `;
+
+    // Count query for pagination metadata
+    const countQuery = `
+      SELECT COUNT(*) as total
+      ${fromClause}
+      LEFT JOIN users u ON p.landlord_id = u.id
+      ${whereClause}
+    `;
+
+    // Execute both queries
+    const [searchResult, countResult] = await Promise.all([
+      pool.query(searchQuery, queryParams),
+      includeTotal
+        ? pool.query(countQuery, queryParams.slice(0, whereParamCount)) // Only the params whereClause actually references
+        : null
+    ]);
+
+    const hasMore = fetchLimit > pageLimit && searchResult.rows.length > pageLimit;
+    const properties = searchResult.rows.slice(0, pageLimit);
+    if (pagingBackwards) properties.reverse();
+
+    const totalCount = includeTotal ? parseInt(countResult.rows[0].total) : null;
+    const totalPages = includeTotal ? Math.ceil(totalCount / limit) : null;
+    const currentPage = Math.floor(offset / limit) + 1;
+
+    // Format response
+    const formattedProperties = properties.map(property => ({
+      id: property.id,
+      address: property.address,
+      city: property.city,
+      state: property.state,
+      zip_code: property.zip_code,
+      latitude: property.latitude,
+      longitude: property.longitude,
+      street_view_heading: property.street_view_heading,
+      street_view_lat: property.street_view_lat,
+      street_view_lng: property.street_view_lng,
+      street_view_status: property.street_view_status,
+      street_view_pano_id: property.street_view_pano_id,
+      street_view_capture_date: property.street_view_capture_date,
+      street_view_copyright: property.street_view_copyright,
+      geocode_status: property.geocode_status,
+      rent_amount: property.rent_amount,
+      bedrooms: property.bedrooms,
+      bathrooms: property.bathrooms,
+      square_feet: property.square_feet,
+      description: property.description,
+      amenities: property.amenities,
+      landlord_verified: property.landlord_verified,
+      created_at: property.created_at,
+      archived_at: property.archived_at,
+      // Review stats below are always the building's -- reviews attach to
+      // the building, so every unit in it shares them.
+      unit: result_type === 'units'
+        ? { id: property.unit_id, unit_number: property.unit_number }
+        : null,
+      unit_summary: result_type === 'units'
+        ? null
+        : {
+          count: parseInt(property.unit_count) || 0,
+          min_rent: property.unit_min_rent != null ? parseFloat(property.unit_min_rent) : null,
+          max_rent: property.unit_max_rent != null ? parseFloat(property.unit_max_rent) : null
+        },
+      distance_miles: property.distance_miles != null ? Math.round(parseFloat(property.distance_miles) * 10) / 10 : null,
+      rent_change: {
+        period_months: value.rent_change_months,
+        from_amount: property.rent_change_from_amount != null ? parseFloat(property.rent_change_from_amount) : null,
+        percent: property.rent_change_percent != null ? parseFloat(property.rent_change_percent) : null
+      },
+      landlord: {
+        first_name: property.landlord_first_name,
+        last_name: property.landlord_last_name,
+        email: property.landlord_email
+      },
+      review_stats: {
+        count: parseInt(property.review_count) || 0,
+        avg_rating: property.avg_rating ? Math.round(parseFloat(property.avg_rating) * 10) / 10 : null
+      },
+      // Relative path on review-service's static /photos route — prefix with
+      // REVIEW_API_BASE_URL client-side (property-service doesn't know
+      // review-service's public URL).
+      photo_path: property.photo_filename ? `/photos/${property.photo_filename}` : null,
+      ...(req.user ? { is_favorited: property.is_favorited } : {})
+    }));
+
+    // GeoJSON points are [lng, lat]. Only what a map marker/popup needs --
+    // the full record is a GET /properties/:id away.
+    if (format === 'geojson') {
+      return res.json({
+        type: 'FeatureCollection',
+        features: formattedProperties.map(property => ({
+          type: 'Feature',
+          id: property.unit ? `${property.id}-${property.unit.id}` : property.id,
+          geometry: {
+            type: 'Point',
+            coordinates: [parseFloat(property.longitude), parseFloat(property.latitude)]
+          },
+          properties: {
+            id: property.id,
+            unit_id: property.unit?.id ?? null,
+            rent_amount: property.rent_amount != null ? parseFloat(property.rent_amount) : null,
+            review_stats: property.review_stats,
+            photo_path: property.photo_path
+          }
+        })),
+        total_count: totalCount,
+        truncated: includeTotal ? totalCount > formattedProperties.length : hasMore
+      });
+    }
+
+    let pagination;
+    if (cursorMode) {
+      // Walking forward, "more" is ahead and anything before the cursor is
+      // behind; walking backwards it's the other way round.
+      const first = properties[0];
+      const last = properties[properties.length - 1];
+      const hasNext = pagingBackwards ? true : hasMore;
+      const hasPrevious = pagingBackwards ? hasMore : Boolean(decodedCursor);
+
+      pagination = {
+        mode: 'cursor',
+        limit,
+        total_count: totalCount,
+        next_cursor: hasNext && last ? encodeCursor(sort_by, last.cursor_sort_value, last.cursor_id, 'next') : null,
+        previous_cursor: hasPrevious && first ? encodeCursor(sort_by, first.cursor_sort_value, first.cursor_id, 'prev') : null,
+        has_next: Boolean(hasNext && last),
+        has_previous: Boolean(hasPrevious && first)
+      };
+    } else {
+      pagination = {
+        mode: 'offset',
+        total_count: totalCount,
+        total_pages: totalPages,
+        current_page: currentPage,
+        limit: limit,
+        offset: offset,
+        has_next: includeTotal ? currentPage < totalPages : hasMore,
+        has_previous: currentPage > 1
+      };
+    }
+
+    res.json({
+      success: true,
+      properties: formattedProperties,
+      pagination,
+      filters_applied: {
+        q,
+        city,
+        state,
+        zip_code,
+        rent_range: min_rent || max_rent ? { min: min_rent, max: max_rent } : null,
+        bedrooms_range: min_bedrooms !== undefined || max_bedrooms !== undefined ? { min: min_bedrooms, max: max_bedrooms } : null,
+        bathrooms_range: min_bathrooms || max_bathrooms ? { min: min_bathrooms, max: max_bathrooms } : null,
+        sqft_range: min_sqft || max_sqft ? { min: min_sqft, max: max_sqft } : null,
+        landlord_verified,
+        include_archived,
+        near: lat !== undefined && lng !== undefined ? { lat, lng } : null,
+        bbox: bbox ? [bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat] : null,
+        sort_by,
+        result_type
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching properties:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to search properties'
+    });
+  }
+}
+
+app.get('/properties', optionalAuthenticateToken, (req, res) => searchProperties(req, res));
+
+// Validation schema for GET /properties/clusters -- every search filter,
+// plus a required viewport and zoom level.
+const clusterSearchSchema = searchPropertiesSchema.keys({
+  bbox: bboxSchema.required(),
+  zoom: Joi.number().integer().min(0).max(22).required()
+});
+
+// At or above this zoom every property comes back on its own; below it
+// properties are grouped into grid cells of roughly CLUSTER_CELL_PIXELS
+// on screen.
+const CLUSTER_MAX_ZOOM = 16;
+const CLUSTER_CELL_PIXELS = 60;
+
+// GET /properties/clusters - Server-side grid clustering for zoomed-out map
+// views, where sending thousands of individual pins is slow and unreadable.
+// Each cluster carries its count, centroid, bounds, average rent and
+// average rating; single-property cells also carry the property's id so the
+// map can draw a normal pin for it. Always clusters buildings, not units.
+async function getPropertyClusters(req, res) {
+  try {
+    const { error, value } = clusterSearchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid search parameters',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (value.include_archived) {
+      return res.status(400).json({
+        error: 'Invalid search parameters',
+        details: ['include_archived is not supported for clusters']
+      });
+    }
+
+    const { zoom } = value;
+    const { whereConditions, queryParams } = buildSearchFilters(
+      { ...value, result_type: 'buildings' },
+      { requireCoordinates: true }
+    );
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+
+    // Web-map tiles are 256px wide and the world doubles in pixels per
+    // zoom level, so this is how many degrees CLUSTER_CELL_PIXELS covers.
+    // Longitude-only, so cells get taller (in km) toward the poles -- close
+    // enough for grouping pins.
+    const clustering = zoom < CLUSTER_MAX_ZOOM;
+    const cellDegrees = (360 * CLUSTER_CELL_PIXELS) / (256 * Math.pow(2, zoom));
+    let groupByClause = 'GROUP BY id';
+    if (clustering) {
+      queryParams.push(cellDegrees);
+      const cellParam = `$${queryParams.length}`;
+      groupByClause = `GROUP BY floor(lng / ${cellParam}), floor(lat / ${cellParam})`;
+    }
+
+    // Per-property rent falls back to the average of its units' rents, so
+    // multi-unit buildings don't just drop out of the cluster average.
+    const clusterQuery = `
+      WITH filtered AS (
+        SELECT
+          p.id,
+          p.latitude::float8 AS lat,
+          p.longitude::float8 AS lng,
+          COALESCE(p.rent_amount, (SELECT AVG(pu.rent_amount) FROM property_units pu WHERE pu.property_id = p.id)) AS rent,
+          (SELECT AVG(r.overall_rating) FROM reviews r WHERE r.property_id = p.id) AS avg_rating
+        FROM properties p
+        ${whereClause}
+      )
+      SELECT
+        COUNT(*) AS count,
+        AVG(lat) AS latitude,
+        AVG(lng) AS longitude,
+        MIN(lat) AS min_lat,
+        MIN(lng) AS min_lng,
+        MAX(lat) AS max_lat,
+        MAX(lng) AS max_lng,
+        AVG(rent) AS avg_rent,
+        AVG(avg_rating) AS avg_rating,
+        MIN(id) AS first_id,
+        SUM(COUNT(*)) OVER () AS total_count
+      FROM filtered
+      ${groupByClause}
+      ORDER BY count DESC
+      LIMIT ${GEOJSON_MAX_FEATURES}
+    `;
+
+    const result = await pool.query(clusterQuery, queryParams);
+
+    // Every match in the viewport, not just the ones in the clusters that
+    // made it under the LIMIT -- the window sum runs before it.
+    const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    const clusters = result.rows.map(row => {
+      const count = parseInt(row.count);
+      return {
+        count,
+        latitude: parseFloat(row.latitude),
+        longitude: parseFloat(row.longitude),
+        bounds: count > 1
+          ? [parseFloat(row.min_lng), parseFloat(row.min_lat), parseFloat(row.max_lng), parseFloat(row.max_lat)]
+          : null,
+        avg_rent: row.avg_rent != null ? Math.round(parseFloat(row.avg_rent)) : null,
+        avg_rating: row.avg_rating != null ? Math.round(parseFloat(row.avg_rating) * 10) / 10 : null,
+        property_id: count === 1 ? row.first_id : null
+      };
+    });
+
+    res.json({
+      success: true,
+      zoom,
+      clustered: clustering,
+      cell_size_degrees: clustering ? cellDegrees : null,
+      total_count: totalCount,
+      clusters
+    });
+
+  } catch (error) {
+    console.error('Error clustering properties:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to cluster properties'
+    });
+  }
+}
+
+// Stats accept every search filter (so a market summary can sit next to
+// the results it describes), plus an optional breakdown. Pagination and
+// sort params are accepted but meaningless here.
+const STATS_GROUP_COLUMNS = {
+  city: 'p.city',
+  state: 'p.state',
+  zip_code: 'LEFT(p.zip_code, 5)', // ZIP+4 rolls up into its ZIP
+  bedrooms: null // from the listing -- the unit in units mode, see below
+};
+
+const statsSearchSchema = searchPropertiesSchema.keys({
+  group_by: Joi.string().valid(...Object.keys(STATS_GROUP_COLUMNS)),
+  group_limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// Shapes one row of the stats query (overall or one group).
+function formatStatsRow(stats) {
+  const roundOrNull = (raw, places = 0) => {
+    if (raw == null) return null;
+    const factor = Math.pow(10, places);
+    return Math.round(parseFloat(raw) * factor) / factor;
+  };
+  const total = parseInt(stats.total_listings);
+  const verified = parseInt(stats.verified_listings);
+
+  return {
+    total_properties: total,
+    verified_properties: verified,
+    verification_rate: total > 0 ? Math.round((verified / total) * 100) : 0,
+    rent_statistics: {
+      count: parseInt(stats.rent_count),
+      average: roundOrNull(stats.avg_rent),
+      minimum: roundOrNull(stats.min_rent, 2),
+      maximum: roundOrNull(stats.max_rent, 2),
+      median: roundOrNull(stats.rent_p50),
+      percentile_25: roundOrNull(stats.rent_p25),
+      percentile_75: roundOrNull(stats.rent_p75)
+    },
+    price_per_sqft: {
+      count: parseInt(stats.ppsf_count),
+      average: roundOrNull(stats.avg_ppsf, 2),
+      median: roundOrNull(stats.ppsf_p50, 2),
+      percentile_25: roundOrNull(stats.ppsf_p25, 2),
+      percentile_75: roundOrNull(stats.ppsf_p75, 2)
+    },
+    property_features: {
+      avg_bedrooms: roundOrNull(stats.avg_bedrooms, 1),
+      avg_bathrooms: roundOrNull(stats.avg_bathrooms, 1),
+      avg_square_feet: roundOrNull(stats.avg_sqft)
+    },
+    review_statistics: {
+      review_count: parseInt(stats.review_count) || 0,
+      reviewed_properties: parseInt(stats.reviewed_properties) || 0,
+      // Every review counts once...
+      avg_rating: roundOrNull(stats.avg_rating, 1),
+      // ...vs. every reviewed property counting once, however many reviews it has.
+      avg_property_rating: roundOrNull(stats.avg_property_rating, 1)
+    },
+    geographic_coverage: {
+      cities: parseInt(stats.cities_count),
+      states: parseInt(stats.states_count)
+    }
+  };
+}
+
+// GET /properties/stats - Market summary over the properties matching the
+// search filters: counts, rent and price-per-sqft distribution (average,
+// median, 25th/75th percentiles), listing features and review ratings,
+// optionally broken down by group_by. Like search, result_type=units
+// summarizes each unit as its own listing.
+async function getPropertyStats(req, res) {
+  try {
+    const { error, value } = statsSearchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid search parameters',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (value.include_archived && req.user?.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'include_archived is only available to admins'
+      });
+    }
+
+    const { group_by: groupBy, group_limit: groupLimit, result_type } = value;
+    const { whereConditions, queryParams } = buildSearchFilters(value);
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const listing = result_type === 'units' ? 'pu' : 'p';
+    const fromClause = result_type === 'units'
+      ? 'FROM property_units pu JOIN properties p ON p.id = pu.property_id'
+      : 'FROM properties p';
+
+    // Reviews attach to buildings, so in units mode a building's reviews
+    // would be counted once per unit -- they're aggregated per (group,
+    // building) first and only then summed per group. The overall summary
+    // is the same query grouped on a constant.
+    const buildStatsQuery = (groupExpr) => `
+      WITH filtered AS (
+        SELECT
+          ${groupExpr} AS group_key,
+          p.id AS property_id,
+          p.city,
+          p.state,
+          p.landlord_verified,
+          ${listing}.rent_amount AS rent,
+          ${listing}.bedrooms,
+          ${listing}.bathrooms,
+          ${listing}.square_feet AS sqft,
+          ${listing}.rent_amount / NULLIF(${listing}.square_feet, 0) AS ppsf
+        ${fromClause}
+        ${whereClause}
+      ),
+      listing_stats AS (
+        SELECT
+          group_key,
+          COUNT(*) AS total_listings,
+          COUNT(*) FILTER (WHERE landlord_verified) AS verified_listings,
+          COUNT(rent) AS rent_count,
+          AVG(rent) AS avg_rent,
+          MIN(rent) AS min_rent,
+          MAX(rent) AS max_rent,
+          percentile_cont(0.25) WITHIN GROUP (ORDER BY rent) AS rent_p25,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY rent) AS rent_p50,
+          percentile_cont(0.75) WITHIN GROUP (ORDER BY rent) AS rent_p75,
+          COUNT(ppsf) AS ppsf_count,
+          AVG(ppsf) AS avg_ppsf,
+          percentile_cont(0.25) WITHIN GROUP (ORDER BY ppsf) AS ppsf_p25,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY ppsf) AS ppsf_p50,
+          percentile_cont(0.75) WITHIN GROUP (ORDER BY ppsf) AS ppsf_p75,
+          AVG(bedrooms) AS avg_bedrooms,
+          AVG(bathrooms) AS avg_bathrooms,
+          AVG(sqft) AS avg_sqft,
+          COUNT(DISTINCT city) AS cities_count,
+          COUNT(DISTINCT state) AS states_count
+        FROM filtered
+        GROUP BY group_key
+      ),
+      property_reviews AS (
+        SELECT f.group_key, f.property_id, COUNT(r.id) AS review_count, SUM(r.overall_rating)::numeric AS rating_sum
+        FROM (SELECT DISTINCT group_key, property_id FROM filtered) f
+        JOIN reviews r ON r.property_id = f.property_id
+        GROUP BY f.group_key, f.property_id
+      ),
+      review_stats AS (
+        SELECT
+          group_key,
+          SUM(review_count) AS review_count,
+          COUNT(*) AS reviewed_properties,
+          SUM(rating_sum) / NULLIF(SUM(review_count), 0) AS avg_rating,
+          AVG(rating_sum / review_count) AS avg_property_rating
+        FROM property_reviews
+        GROUP BY group_key
+      )
+      SELECT ls.*, rs.review_count, rs.reviewed_properties, rs.avg_rating, rs.avg_property_rating
+      FROM listing_stats ls
+      LEFT JOIN review_stats rs ON rs.group_key IS NOT DISTINCT FROM ls.group_key
+      ORDER BY ls.total_listings DESC, ls.group_key ASC NULLS LAST
+    `;
+
+    const [overallResult, groupsResult] = await Promise.all([
+      pool.query(buildStatsQuery('NULL::text'), queryParams),
+      groupBy
+        ? pool.query(
+          `${buildStatsQuery(STATS_GROUP_COLUMNS[groupBy] || `${listing}.${groupBy}`)} LIMIT $${queryParams.length + 1}`,
+          [...queryParams, groupLimit + 1]
+        )
+        : null
+    ]);
+
+    // GROUP BY over zero matches yields zero rows rather than one row of
+    // zeros -- report the zeros anyway.
+    const overall = overallResult.rows[0] || {
+      total_listings: 0, verified_listings: 0, rent_count: 0, ppsf_count: 0, cities_count: 0, states_count: 0
+    };
+
+    let groups;
+    if (groupsResult) {
+      groups = groupsResult.rows.slice(0, groupLimit).map(row => ({
+        [groupBy]: groupBy === 'bedrooms' && row.group_key != null ? parseInt(row.group_key) : row.group_key,
+        ...formatStatsRow(row)
+      }));
+    }
+
+    res.json({
+      success: true,
+      result_type,
+      statistics: formatStatsRow(overall),
+      ...(groupBy && {
+        group_by: groupBy,
+        groups,
+        groups_truncated: groupsResult.rows.length > groupLimit
+      })
+    });
+
+  } catch (error) {
+    console.error('Error fetching property statistics:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch property statistics'
+    });
+  }
+}
+
+// Export takes every search filter; format picks the file type instead of
+// json/geojson, and sort/pagination params are accepted but ignored --
+// exports always cover every match, in id order.
+const exportSearchSchema = searchPropertiesSchema.keys({
+  format: Joi.string().valid('csv', 'geojson').default('csv')
+});
+
+// Rows per round trip while streaming. Small enough to keep memory flat,
+// large enough that a 50k-row export isn't 50k queries.
+const EXPORT_BATCH_SIZE = 1000;
+
+const EXPORT_CSV_COLUMNS = [
+  'id', 'unit_id', 'unit_number', 'address', 'city', 'state', 'zip_code', 'latitude', 'longitude',
+  'rent_amount', 'bedrooms', 'bathrooms', 'square_feet', 'amenities', 'landlord_verified', 'created_at', 'archived_at',
+  'distance_miles', 'review_count', 'avg_rating'
+];
+
+// GET /properties/export - Every property matching the search filters as a
+// CSV or GeoJSON download, for analysis outside the app (authenticated,
+// separately rate limited). Streams in batches rather than building the
+// file in memory, all read from one REPEATABLE READ snapshot so rows
+// changing mid-export can't be skipped or appear twice.
+async function exportProperties(req, res) {
+  const { error, value } = exportSearchSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid search parameters',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  if (value.include_archived && req.user.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'include_archived is only available to admins'
+    });
+  }
+
+  const { format, result_type, lat, lng } = value;
+  const { whereConditions, queryParams } = buildSearchFilters(value, {
+    requireCoordinates: format === 'geojson'
+  });
+
+  let distanceSelectExpr = 'NULL';
+  if (lat !== undefined && lng !== undefined) {
+    queryParams.push(lat, lng);
+    distanceSelectExpr = distanceMilesExpr(queryParams.length - 1, queryParams.length);
+  }
+
+  const listing = result_type === 'units' ? 'pu' : 'p';
+  const fromClause = result_type === 'units'
+    ? 'FROM property_units pu JOIN properties p ON p.id = pu.property_id'
+    : 'FROM properties p';
+  const lastIdParam = queryParams.length + 1;
+  const batchSizeParam = queryParams.length + 2;
+
+  const exportQuery = `
+    SELECT
+      p.id,
+      ${result_type === 'units' ? 'pu.id AS unit_id, pu.unit_number,' : 'NULL::integer AS unit_id, NULL AS unit_number,'}
+      p.address,
+      p.city,
+      p.state,
+      p.zip_code,
+      p.latitude,
+      p.longitude,
+      ${listing}.rent_amount,
+      ${listing}.bedrooms,
+      ${listing}.bathrooms,
+      ${listing}.square_feet,
+      p.amenities,
+      p.landlord_verified,
+      ${listing}.created_at,
+      p.archived_at,
+      ${distanceSelectExpr} AS distance_miles,
+      rs.review_count,
+      rs.avg_rating,
+      ${listing}.id AS export_cursor
+    ${fromClause}
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*) AS review_count, AVG(r.overall_rating) AS avg_rating
+      FROM reviews r WHERE r.property_id = p.id
+    ) rs ON TRUE
+    WHERE ${[...whereConditions, `${listing}.id > $${lastIdParam}`].join(' AND ')}
+    ORDER BY ${listing}.id
+    LIMIT $${batchSizeParam}
+  `;
+
+  const formatRow = (row) => ({
+    id: row.id,
+    unit_id: row.unit_id,
+    unit_number: row.unit_number,
+    address: row.address,
+    city: row.city,
+    state: row.state,
+    zip_code: row.zip_code,
+    latitude: row.latitude != null ? parseFloat(row.latitude) : null,
+    longitude: row.longitude != null ? parseFloat(row.longitude) : null,
+    rent_amount: row.rent_amount != null ? parseFloat(row.rent_amount) : null,
+    bedrooms: row.bedrooms,
+    bathrooms: row.bathrooms != null ? parseFloat(row.bathrooms) : null,
+    square_feet: row.square_feet,
+    amenities: row.amenities,
+    landlord_verified: row.landlord_verified,
+    created_at: row.created_at,
+    archived_at: row.archived_at,
+    distance_miles: row.distance_miles != null ? Math.round(parseFloat(row.distance_miles) * 10) / 10 : null,
+    review_count: parseInt(row.review_count) || 0,
+    avg_rating: row.avg_rating != null ? Math.round(parseFloat(row.avg_rating) * 10) / 10 : null
+  });
+
+  const serialize = format === 'csv'
+    // amenities as "parking; elevator" -- the same list format imports accept.
+    ? (record) => formatCsvRow(EXPORT_CSV_COLUMNS.map(column => (
+      Array.isArray(record[column]) ? record[column].join('; ') : record[column]
+    )))
+    : (record, isFirst) => {
+      const { latitude, longitude, review_count, avg_rating, ...properties } = record;
+      const feature = {
+        type: 'Feature',
+        id: record.unit_id ? `${record.id}-${record.unit_id}` : record.id,
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties: { ...properties, review_stats: { count: review_count, avg_rating } }
+      };
+      return `${isFirst ? '' : ','}\n${JSON.stringify(feature)}`;
+    };
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const client = await pool.connect().catch(connectError => {
+    console.error('Error exporting properties:', connectError);
+    res.status(500).json({ error: 'Internal server error', message: 'Failed to export properties' });
+    return null;
+  });
+  if (!client) return;
+
+  // Set once the response has started -- after that an error can only cut
+  // the download short, not turn into a 500.
+  let streaming = false;
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableFinished) clientGone = true;
+  });
+
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+    let batch = await client.query(exportQuery, [...queryParams, 0, EXPORT_BATCH_SIZE]);
+
+    res.status(200);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="properties-${stamp}.csv"`);
+    } else {
+      res.set('Content-Type', 'application/geo+json');
+      res.set('Content-Disposition', `attachment; filename="properties-${stamp}.geojson"`);
+    }
+    streaming = true;
+    res.write(format === 'csv' ? formatCsvRow(EXPORT_CSV_COLUMNS) : '{"type":"FeatureCollection","features":[');
+
+    let isFirst = true;
+    while (batch.rows.length > 0 && !clientGone) {
+      const chunk = batch.rows.map(row => {
+        const serialized = serialize(formatRow(row), isFirst);
+        isFirst = false;
+        return serialized;
+      }).join('');
+
+      // Respect backpressure so a slow download doesn't buffer the whole
+      // export in memory anyway.
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+
+      if (batch.rows.length < EXPORT_BATCH_SIZE) break;
+      const lastId = batch.rows[batch.rows.length - 1].export_cursor;
+      batch = await client.query(exportQuery, [...queryParams, lastId, EXPORT_BATCH_SIZE]);
+    }
+
+    await client.query('COMMIT');
+    if (!clientGone) res.end(format === 'csv' ? '' : '\n]}\n');
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error exporting properties:', error);
+    if (streaming) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Internal server error', message: 'Failed to export properties' });
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// GET /favorites - The authenticated user's favorite properties, in GET
+// /properties' shape with the same filters, sorts and paging (see
+// searchProperties). Favorites that were archived drop out, as they do from
+// search, but stay stored and come back if the property is restored.
+app.get('/favorites', authenticateToken, (req, res) => searchProperties(req, res, { favoritesOnly: true }));
+
+// Saved searches - a user's named GET /properties filters, checked
+// periodically for new and changed matches (see savedSearches.js, which
+// records the notifications and hands them to the configured notifier).
+// params takes the same parameters as GET /properties (as a JSON object)
+// and is stored as validated -- minus paging, which means nothing for an
+// alert, and the admin-only/one-off cursor and include_archived.
+const SAVED_SEARCH_LIMIT_PER_USER = 25;
+const SAVED_SEARCH_PAGING_PARAMS = ['limit', 'offset', 'pagination', 'include_total'];
+
+const savedSearchParamsSchema = searchPropertiesSchema.keys({
+  include_archived: Joi.forbidden(),
+  cursor: Joi.forbidden()
+});
+
+const createSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  params: savedSearchParamsSchema.required()
+});
+
+const updateSavedSearchSchema = createSavedSearchSchema
+  .fork(['name', 'params'], (schema) => schema.optional())
+  .min(1);
+
+function savedSearchParams(params) {
+  return Object.fromEntries(Object.entries(params).filter(([key]) => !SAVED_SEARCH_PAGING_PARAMS.includes(key)));
+}
+
+function formatSavedSearch(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    params: row.params,
+    last_matched_at: row.last_matched_at,
+    pending_notifications: row.pending_notifications != null ? parseInt(row.pending_notifications) : 0,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// POST /saved-searches - Save a search for the authenticated user.
+app.post('/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = createSavedSearchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const countResult = await pool.query('SELECT COUNT(*) AS count FROM saved_searches WHERE user_id = $1', [req.user.id]);
+    if (parseInt(countResult.rows[0].count) >= SAVED_SEARCH_LIMIT_PER_USER) {
+      return res.status(409).json({
+        error: 'Too many saved searches',
+        message: `You can save up to ${SAVED_SEARCH_LIMIT_PER_USER} searches; delete one first`
+      });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO saved_searches (user_id, name, params) VALUES ($1, $2, $3) RETURNING *',
+      [req.user.id, value.name, JSON.stringify(savedSearchParams(value.params))]
+    );
+
+    res.status(201).json({ success: true, saved_search: formatSavedSearch(result.rows[0]) });
+
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation -- saved_searches_unique_name
+      return res.status(409).json({
+        error: 'Saved search already exists',
+        message: 'You already have a saved search with this name'
+      });
+    }
+    console.error('Error creating saved search:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save search'
+    });
+  }
+});
+
+// GET /saved-searches - The authenticated user's saved searches, newest first.
+app.get('/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*,
+         (SELECT COUNT(*) FROM saved_search_notifications n
+          WHERE n.saved_search_id = s.id AND n.status = 'pending') AS pending_notifications
+       FROM saved_searches s
+       WHERE s.user_id = $1
+       ORDER BY s.created_at DESC, s.id DESC`,
+      [req.user.id]
+    );
+
+    res.json({ success: true, saved_searches: result.rows.map(formatSavedSearch) });
+
+  } catch (error) {
+    console.error('Error listing saved searches:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list saved searches'
+    });
+  }
+});
+
+// PUT/PATCH /saved-searches/:id - Rename a saved search and/or replace its
+// params (params is replaced whole, not merged). Matching carries on from
+// the last run either way.
+const updateSavedSearch = async (req, res) => {
+  try {
+    const savedSearchId = parseInt(req.params.id);
+
+    if (isNaN(savedSearchId)) {
+      return res.status(400).json({
+        error: 'Invalid saved search ID',
+        message: 'Saved search ID must be a number'
+      });
+    }
+
+    const { error, value } = updateSavedSearchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    // Scoped to the caller -- someone else's search is just "not found".
+    const result = await pool.query(
+      `UPDATE saved_searches
+       SET name = COALESCE($3, name), params = COALESCE($4, params), updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [savedSearchId, req.user.id, value.name ?? null,
+        value.params ? JSON.stringify(savedSearchParams(value.params)) : null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Saved search not found',
+        message: 'No saved search found with the specified ID'
+      });
+    }
+
+    res.json({ success: true, saved_search: formatSavedSearch(result.rows[0]) });
+
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation -- saved_searches_unique_name
+      return res.status(409).json({
+        error: 'Saved search already exists',
+        message: 'You already have a saved search with this name'
+      });
+    }
+    console.error('Error updating saved search:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update saved search'
+    });
+  }
+};
+
+app.put('/saved-searches/:id', authenticateToken, updateSavedSearch);
+app.patch('/saved-searches/:id', authenticateToken, updateSavedSearch);
+
+// DELETE /saved-searches/:id - Delete a saved search. Its notifications go
+// with it (ON DELETE CASCADE), delivered or not.
+app.delete('/saved-searches/:id', authenticateToken, async (req, res) => {
+  try {
+    const savedSearchId = parseInt(req.params.id);
+
+    if (isNaN(savedSearchId)) {
+      return res.status(400).json({
+        error: 'Invalid saved search ID',
+        message: 'Saved search ID must be a number'
+      });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+      [savedSearchId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Saved search not found',
+        message: 'No saved search found with the specified ID'
+      });
+    }
+
+    res.json({ success: true, message: 'Saved search deleted' });
+
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete saved search'
+    });
+  }
+});
+
+// POST /admin/geocode-properties - Backfill geocoding for properties
+// without coordinates or Street View data. Queues a geocode_backfill job
+// (see propertyGeocoding.js) that walks every such property, instead of
+// doing 100 of them inside this request; poll GET /admin/jobs/:id for its
+// progress. Only one backfill runs at a time -- asking again while one is
+// queued or running returns that one.
+app.post('/admin/geocode-properties', requireAdminSecret, async (req, res) => {
+  try {
+    const adminSecret = req.headers['admin-secret'] || req.body.admin_secret;
+    
+    if (!adminSecret || adminSecret !== process.env.ADMIN_SECRET) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Invalid or missing admin_secret'
+      });
+    }
+
+    const active = await pool.query(
+      "SELECT * FROM jobs WHERE type = $1 AND status IN ('pending', 'running') ORDER BY id LIMIT 1",
+      [GEOCODE_BACKFILL_JOB]
+    );
+    if (active.rows.length > 0) {
+      return res.json({
+        success: true,
+        message: 'Geocoding backfill already in progress',
+        already_running: true,
+        job: formatJob(active.rows[0]),
+        poll_url: `/admin/jobs/${active.rows[0].id}`
+      });
+    }
+
+    const job = await enqueueJob(pool, GEOCODE_BACKFILL_JOB);
+    res.status(202).json({
+      success: true,
+      message: 'Geocoding backfill queued',
+      already_running: false,
+      job: formatJob(job),
+      poll_url: `/admin/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('Geocoding backfill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to queue geocoding backfill',
+      details: error.message
+    });
+  }
+});
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    payload: job.payload,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    run_at: job.run_at,
+    last_error: job.last_error,
+    progress: job.progress,
+    result: job.result,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at
+  };
+}
+
+// GET /admin/jobs - Recent background jobs, newest first, optionally
+// narrowed by type and status.
+const jobListSchema = Joi.object({
+  type: Joi.string().max(50),
+  status: Joi.string().valid('pending', 'running', 'completed', 'failed'),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+app.get('/admin/jobs', requireAdminSecret, async (req, res) => {
+  try {
+    const { error, value } = jobListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const conditions = [];
+    const queryParams = [];
+    if (value.type) {
+      queryParams.push(value.type);
+      conditions.push(`type = $${queryParams.length}`);
+    }
+    if (value.status) {
+      queryParams.push(value.status);
+      conditions.push(`status = $${queryParams.length}`);
+    }
+    queryParams.push(value.limit);
+
+    const result = await pool.query(
+      `SELECT * FROM jobs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${queryParams.length}`,
+      queryParams
+    );
+
+    res.json({ success: true, jobs: result.rows.map(formatJob) });
+
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list jobs'
+    });
+  }
+});
+
+// GET /admin/jobs/:id - One job's status, progress (for backfills) and
+// result or last error.
+app.get('/admin/jobs/:id', requireAdminSecret, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({
+        error: 'Invalid job ID',
+        message: 'Job ID must be a number'
+      });
+    }
+
+    const job = await findJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'No job found with the specified ID'
+      });
+    }
+
+    res.json({ success: true, job: formatJob(job) });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch job'
+    });
+  }
+});
+
+// Validation schemas for the duplicate finder and merge tool below.
+const duplicateSearchSchema = Joi.object({
+  radius_meters: Joi.number().positive().max(100).default(15),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+const mergePropertiesSchema = Joi.object({
+  source_id: Joi.number().integer().positive().required(),
+  target_id: Joi.number().integer().positive().required().invalid(Joi.ref('source_id')),
+  notes: Joi.string().max(2000)
+}).messages({ 'any.invalid': 'target_id must be different from source_id' });
+
+// GET /admin/properties/duplicates - Likely-duplicate clusters for the merge
+// tool: properties sharing an address_key, or whose coordinates are within
+// radius_meters (default 15) of each other. Pairs are joined into clusters,
+// so A~B and B~C come back as one cluster {A, B, C}.
+app.get('/admin/properties/duplicates', requireAdminSecret, async (req, res) => {
+  try {
+    const { error, value } = duplicateSearchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { radius_meters: radiusMeters, limit } = value;
+
+    const keyPairs = await pool.query(`
+      SELECT a.id as a_id, b.id as b_id, 'address_key' as reason
+      FROM properties a
+      JOIN properties b ON b.address_key = a.address_key AND b.id > a.id
+      WHERE a.address_key IS NOT NULL
+        AND a.merged_into_id IS NULL AND b.merged_into_id IS NULL
+        AND a.archived_at IS NULL AND b.archived_at IS NULL
+    `);
+
+    // Bounding-box prefilter (cheap) before the exact great-circle check.
+    // 111320m is one degree of latitude; longitude degrees shrink by cos(lat).
+    const proximityPairs = await pool.query(`
+      SELECT a_id, b_id, 'proximity' as reason FROM (
+        SELECT a.id as a_id, b.id as b_id,
+          6371000 * acos(LEAST(1, GREATEST(-1,
+            cos(radians(a.latitude)) * cos(radians(b.latitude)) *
+            cos(radians(b.longitude) - radians(a.longitude)) +
+            sin(radians(a.latitude)) * sin(radians(b.latitude))
+          ))) as distance_meters
+        FROM properties a
+        JOIN properties b ON b.id > a.id
+          AND b.latitude BETWEEN a.latitude - $1 / 111320.0 AND a.latitude + $1 / 111320.0
+          AND b.longitude BETWEEN a.longitude - $1 / (111320.0 * cos(radians(a.latitude)))
+                              AND a.longitude + $1 / (111320.0 * cos(radians(a.latitude)))
+        WHERE a.latitude IS NOT NULL AND a.longitude IS NOT NULL
+          AND a.merged_into_id IS NULL AND b.merged_into_id IS NULL
+          AND a.archived_at IS NULL AND b.archived_at IS NULL
+      ) pairs
+      WHERE distance_meters <= $1
+    `, [radiusMeters]);
+
+    // Union-find over the pairs to build connected clusters.
+    const parent = new Map();
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const reasonsByRoot = new Map();
+    const pairs = [...keyPairs.rows, ...proximityPairs.rows];
+
+    for (const { a_id, b_id } of pairs) {
+      if (!parent.has(a_id)) parent.set(a_id, a_id);
+      if (!parent.has(b_id)) parent.set(b_id, b_id);
+      const rootA = find(a_id);
+      const rootB = find(b_id);
+      if (rootA !== rootB) parent.set(rootB, rootA);
+    }
+
+    for (const { a_id, reason } of pairs) {
+      const root = find(a_id);
+      if (!reasonsByRoot.has(root)) reasonsByRoot.set(root, new Set());
+      reasonsByRoot.get(root).add(reason);
+    }
+
+    const idsByRoot = new Map();
+    for (const id of parent.keys()) {
+      const root = find(id);
+      if (!idsByRoot.has(root)) idsByRoot.set(root, []);
+      idsByRoot.get(root).push(id);
+    }
+
+    // Biggest clusters first, then by lowest id, so the same data always
+    // gives the same page whatever order the pair queries came back in.
+    const sortedClusters = [...idsByRoot.values()]
+      .map(ids => ids.sort((a, b) => a - b))
+      .sort((a, b) => b.length - a.length || a[0] - b[0]);
+    const clusterIds = sortedClusters.slice(0, limit);
+    const allIds = clusterIds.flat();
+
+    const details = allIds.length > 0
+      ? await pool.query(`
+          SELECT p.id, p.address, p.city, p.state, p.zip_code, p.latitude, p.longitude,
+            p.street_view_heading, p.landlord_id, p.landlord_verified, p.created_at,
+            (SELECT COUNT(*) FROM reviews r WHERE r.property_id = p.id) as review_count
+          FROM properties p
+          WHERE p.id = ANY($1)
+        `, [allIds])
+      : { rows: [] };
+    const detailsById = new Map(details.rows.map(row => [row.id, row]));
+
+    const clusters = clusterIds.map(ids => ({
+      reasons: [...reasonsByRoot.get(find(ids[0]))],
+      properties: ids
+        .map(id => {
+          const row = detailsById.get(id);
+          return { ...row, review_count: parseInt(row.review_count) || 0 };
+        })
+    }));
+
+    res.json({
+      success: true,
+      radius_meters: radiusMeters,
+      cluster_count: idsByRoot.size,
+      truncated: idsByRoot.size > clusterIds.length,
+      clusters
+    });
+
+  } catch (error) {
+    console.error('Error finding duplicate properties:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to find duplicate properties',
+      details: error.message
+    });
+  }
+});
+
+// How complete a property's location data is -- the merge keeps whichever
+// side scores higher (ties go to the target).
+function locationScore(property) {
+  return (property.latitude != null && property.longitude != null ? 2 : 0)
+    + (property.street_view_heading != null ? 1 : 0)
+    + (property.street_view_lat != null ? 1 : 0);
+}
+
+// POST /admin/properties/merge - Merge source_id into target_id. Reviews
+// (and, through review_id, their photos), units, claims and favorites move
+// to the target; the target keeps the better coordinates/Street View data and
+// fills any empty listing fields from the source. The source row is kept,
+// archived, with merged_into_id set so GET /properties/:id redirects to the
+// survivor. All in one transaction -- a half-merged pair is worse than two
+// duplicates.
+app.post('/admin/properties/merge', requireAdminSecret, async (req, res) => {
+  const { error, value } = mergePropertiesSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { source_id: sourceId, target_id: targetId, notes } = value;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock in id order so two concurrent merges over the same pair can't deadlock.
+    const locked = await client.query(
+      'SELECT * FROM properties WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+      [[sourceId, targetId]]
+    );
+    const source = locked.rows.find(row => row.id === sourceId);
+    const target = locked.rows.find(row => row.id === targetId);
+
+    if (!source || !target) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        error: 'Property not found',
+        message: `No property found with ID ${!source ? sourceId : targetId}`
+      });
+    }
+
+    if (source.merged_into_id || target.merged_into_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Property already merged',
+        message: `Property ${source.merged_into_id ? sourceId : targetId} has already been merged into another property`
+      });
+    }
+
+    const reviewsMoved = await client.query(
+      'UPDATE reviews SET property_id = $1 WHERE property_id = $2',
+      [targetId, sourceId]
+    );
+
+    // Units with a number the target already has are dropped -- the
+    // target's copy wins, same as the listing fields below.
+    await client.query(
+      `DELETE FROM property_units su
+       WHERE su.property_id = $2
+         AND EXISTS (SELECT 1 FROM property_units tu WHERE tu.property_id = $1 AND UPPER(tu.unit_number) = UPPER(su.unit_number))`,
+      [targetId, sourceId]
+    );
+    const unitsMoved = await client.query(
+      'UPDATE property_units SET property_id = $1, updated_at = NOW() WHERE property_id = $2',
+      [targetId, sourceId]
+    );
+    // Moved units keep their rent history (dropped units' went with them,
+    // ON DELETE CASCADE). The source building's own entries stay with the
+    // source row, next to the source_snapshot in property_merges.
+    await client.query(
+      'UPDATE rent_history SET property_id = $1 WHERE property_id = $2 AND unit_id IS NOT NULL',
+      [targetId, sourceId]
+    );
+
+    // A landlord can only have one pending claim per property
+    // (property_claims_one_pending), so a pending claim on the source from
+    // someone who also has one pending on the target is closed out rather
+    // than moved -- the target's claim is the one still under review.
+    await client.query(
+      `UPDATE property_claims sc
+       SET status = 'rejected', reviewed_at = NOW(),
+           review_notes = 'Property was merged into one this landlord already has a pending claim on'
+       WHERE sc.property_id = $2 AND sc.status = 'pending'
+         AND EXISTS (
+           SELECT 1 FROM property_claims tc
+           WHERE tc.property_id = $1 AND tc.landlord_id = sc.landlord_id AND tc.status = 'pending'
+         )`,
+      [targetId, sourceId]
+    );
+    await client.query(
+      'UPDATE property_claims SET property_id = $1 WHERE property_id = $2',
+      [targetId, sourceId]
+    );
+
+    // Favorites follow the property; someone who had both keeps one.
+    await client.query(
+      `INSERT INTO property_favorites (user_id, property_id, created_at)
+       SELECT user_id, $1, created_at FROM property_favorites WHERE property_id = $2
+       ON CONFLICT (user_id, property_id) DO NOTHING`,
+      [targetId, sourceId]
+    );
+    await client.query('DELETE FROM property_favorites WHERE property_id = $1', [sourceId]);
+
+    const keepSourceLocation = locationScore(source) > locationScore(target);
+    const location = keepSourceLocation ? source : target;
+
+    // A landlord-owned side wins ownership over a community-submitted one;
+    // everything else prefers the target and falls back to the source.
+    const owner = target.landlord_id != null || source.landlord_id == null ? target : source;
+
+    const merged = await client.query(
+      `UPDATE properties SET
+         latitude = $1, longitude = $2,
+         street_view_heading = $3, street_view_lat = $4, street_view_lng = $5,
+         geocode_status = $15,
+         street_view_status = $16, street_view_pano_id = $17, street_view_capture_date = $18,
+         street_view_copyright = $19, street_view_checked_at = $20,
+         landlord_id = $6, landlord_verified = $7,
+         rent_amount = COALESCE(rent_amount, $8),
+         bedrooms = COALESCE(bedrooms, $9),
+         bathrooms = COALESCE(bathrooms, $10),
+         square_feet = COALESCE(square_feet, $11),
+         description = CASE
+           WHEN description IS NULL OR description = $13 THEN COALESCE($12, description)
+           ELSE description
+         END,
+         amenities = CASE WHEN cardinality(amenities) = 0 THEN $21 ELSE amenities END,
+         updated_at = NOW()
+       WHERE id = $14
+       RETURNING *`,
+      [location.latitude, location.longitude, location.street_view_heading, location.street_view_lat,
+        location.street_view_lng, owner.landlord_id, owner.landlord_verified,
+        source.rent_amount, source.bedrooms, source.bathrooms, source.square_feet,
+        source.description === COMMUNITY_PLACEHOLDER_DESCRIPTION ? null : source.description,
+        COMMUNITY_PLACEHOLDER_DESCRIPTION, targetId, location.geocode_status,
+        location.street_view_status, location.street_view_pano_id, location.street_view_capture_date,
+        location.street_view_copyright, location.street_view_checked_at, source.amenities]
+    );
+
+    await client.query(
+      `UPDATE properties
+       SET merged_into_id = $1, archived_at = COALESCE(archived_at, NOW()), updated_at = NOW()
+       WHERE id = $2`,
+      [targetId, sourceId]
+    );
+
+    // Anything previously merged into the source now redirects straight to
+    // the target, so redirects never chain.
+    await client.query(
+      'UPDATE properties SET merged_into_id = $1 WHERE merged_into_id = $2',
+      [targetId, sourceId]
+    );
+
+    const mergeRecord = await client.query(
+      `INSERT INTO property_merges (source_property_id, target_property_id, reviews_moved, units_moved, kept_source_location, source_snapshot, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [sourceId, targetId, reviewsMoved.rowCount, unitsMoved.rowCount, keepSourceLocation,
+        JSON.stringify(source), notes ?? null]
+    );
+
+    // Subscribers holding the source's id re-point it at the target.
+    await recordPropertyEvent(client, 'property.merged', merged.rows[0], {
+      source_id: sourceId,
+      merge_id: mergeRecord.rows[0].id
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Properties merged successfully',
+      merge: mergeRecord.rows[0],
+      property: merged.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error merging properties:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to merge properties',
+      details: error.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Webhook subscriptions for the property events in the outbox (see
+// outbox.js and webhooks.js). event_types narrows a subscription to some
+// event types; left empty it gets all of them.
+const webhookEventTypesSchema = Joi.array().items(Joi.string().valid(...PROPERTY_EVENT_TYPES)).unique();
+
+const createWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+  event_types: webhookEventTypesSchema.default([]),
+  description: Joi.string().max(500)
+});
+
+const updateWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+  event_types: webhookEventTypesSchema,
+  description: Joi.string().max(500).allow(null),
+  active: Joi.boolean()
+}).min(1);
+
+const webhookDeliveryListSchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivered', 'dead'),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// The secret is only ever returned by POST /admin/webhooks.
+function formatWebhookSubscription(row) {
+  const counts = row.delivery_counts || {};
+  return {
+    id: row.id,
+    url: row.url,
+    event_types: row.event_types,
+    description: row.description,
+    active: row.active,
+    deliveries: {
+      pending: parseInt(counts.pending ?? 0),
+      delivered: parseInt(counts.delivered ?? 0),
+      dead: parseInt(counts.dead ?? 0)
+    },
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function formatWebhookDelivery(row) {
+  return {
+    id: row.id,
+    event: {
+      id: String(row.event_id),
+      type: row.event_type,
+      property_id: row.property_id,
+      created_at: row.event_created_at
+    },
+    status: row.status,
+    attempts: row.attempts,
+    last_status_code: row.last_status_code,
+    last_error: row.last_error,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    delivered_at: row.delivered_at
+  };
+}
+
+const WEBHOOK_SUBSCRIPTION_SELECT = `
+  SELECT s.*,
+    (SELECT jsonb_object_agg(status, count)
+     FROM (SELECT status, COUNT(*) AS count FROM webhook_deliveries d
+           WHERE d.subscription_id = s.id GROUP BY status) counts) AS delivery_counts
+  FROM webhook_subscriptions s
+`;
+
+// POST /admin/webhooks - Register a webhook URL. Returns the signing secret
+// once; deliveries carry X-Webhook-Signature: t=<unix seconds>,v1=<hex
+// HMAC-SHA256 of "<t>.<raw body>" under that secret>. Only events recorded
+// after this call are delivered.
+app.post('/admin/webhooks', requireAdminSecret, async (req, res) => {
+  try {
+    const { error, value } = createWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO webhook_subscriptions (url, secret, event_types, description)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [value.url, generateWebhookSecret(), value.event_types, value.description ?? null]
+    );
+    const subscription = result.rows[0];
+
+    res.status(201).json({
+      success: true,
+      webhook: { ...formatWebhookSubscription(subscription), secret: subscription.secret }
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create webhook subscription'
+    });
+  }
+});
+
+// GET /admin/webhooks - Every subscription, with its delivery counts by status.
+app.get('/admin/webhooks', requireAdminSecret, async (req, res) => {
+  try {
+    const result = await pool.query(`${WEBHOOK_SUBSCRIPTION_SELECT} ORDER BY s.id`);
+    res.json({ success: true, webhooks: result.rows.map(formatWebhookSubscription) });
+
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list webhook subscriptions'
+    });
+  }
+});
+
+// GET /admin/webhooks/:id - One subscription and its recent deliveries,
+// newest first, optionally narrowed by status (?status=dead for the
+// dead-letter queue).
+app.get('/admin/webhooks/:id', requireAdminSecret, async (req, res) => {
+  try {
+    const subscriptionId = parseInt(req.params.id);
+
+    if (isNaN(subscriptionId)) {
+      return res.status(400).json({
+        error: 'Invalid webhook ID',
+        message: 'Webhook ID must be a number'
+      });
+    }
+
+    const { error, value } = webhookDeliveryListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const subscriptionResult = await pool.query(`${WEBHOOK_SUBSCRIPTION_SELECT} WHERE s.id = $1`, [subscriptionId]);
+    if (subscriptionResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: 'No webhook subscription found with the specified ID'
+      });
+    }
+
+    const deliveries = await pool.query(
+      `SELECT d.*, e.type AS event_type, e.property_id, e.created_at AS event_created_at
+       FROM webhook_deliveries d
+       JOIN outbox_events e ON e.id = d.event_id
+       WHERE d.subscription_id = $1 AND ($2::text IS NULL OR d.status = $2)
+       ORDER BY d.id DESC
+       LIMIT $3`,
+      [subscriptionId, value.status ?? null, value.limit]
+    );
+
+    res.json({
+      success: true,
+      webhook: formatWebhookSubscription(subscriptionResult.rows[0]),
+      deliveries: deliveries.rows.map(formatWebhookDelivery)
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook subscription:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch webhook subscription'
+    });
+  }
+});
+
+// PATCH /admin/webhooks/:id - Change a subscription's URL, event types or
+// description, or pause it (active: false). Deliveries that come due while
+// it's paused are dead-lettered, not held.
+app.patch('/admin/webhooks/:id', requireAdminSecret, async (req, res) => {
+  try {
+    const subscriptionId = parseInt(req.params.id);
+
+    if (isNaN(subscriptionId)) {
+      return res.status(400).json({
+        error: 'Invalid webhook ID',
+        message: 'Webhook ID must be a number'
+      });
+    }
+
+    const { error, value } = updateWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const setClauses = [];
+    const queryParams = [];
+    for (const [column, columnValue] of Object.entries(value)) {
+      queryParams.push(columnValue);
+      setClauses.push(`${column} = $${queryParams.length}`);
+    }
+    setClauses.push('updated_at = NOW()');
+    queryParams.push(subscriptionId);
+
+    const result = await pool.query(
+      `UPDATE webhook_subscriptions SET ${setClauses.join(', ')} WHERE id = $${queryParams.length} RETURNING id`,
+      queryParams
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: 'No webhook subscription found with the specified ID'
+      });
+    }
+
+    const updated = await pool.query(`${WEBHOOK_SUBSCRIPTION_SELECT} WHERE s.id = $1`, [subscriptionId]);
+    res.json({ success: true, webhook: formatWebhookSubscription(updated.rows[0]) });
+
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update webhook subscription'
+    });
+  }
+});
+
+// DELETE /admin/webhooks/:id - Remove a subscription and its delivery
+// history (ON DELETE CASCADE). Queued delivery jobs find nothing and skip.
+app.delete('/admin/webhooks/:id', requireAdminSecret, async (req, res) => {
+  try {
+    const subscriptionId = parseInt(req.params.id);
+
+    if (isNaN(subscriptionId)) {
+      return res.status(400).json({
+        error: 'Invalid webhook ID',
+        message: 'Webhook ID must be a number'
+      });
+    }
+
+    const result = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id', [subscriptionId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: 'No webhook subscription found with the specified ID'
+      });
+    }
+
+    res.json({ success: true, message: 'Webhook subscription deleted' });
+
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete webhook subscription'
+    });
+  }
+});
+
+// POST /admin/webhooks/:id/deliveries/:deliveryId/redeliver - Take a dead
+// delivery out of the dead-letter state and retry it from scratch.
+app.post('/admin/webhooks/:id/deliveries/:deliveryId/redeliver', requireAdminSecret, async (req, res) => {
+  try {
+    const subscriptionId = parseInt(req.params.id);
+    const deliveryId = parseInt(req.params.deliveryId);
+
+    if (isNaN(subscriptionId) || isNaN(deliveryId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Webhook ID and delivery ID must be numbers'
+      });
+    }
+
+    const delivery = await redeliverWebhook(subscriptionId, deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Delivery not found',
+        message: 'No dead delivery found with the specified ID on this webhook'
+      });
+    }
+
+    res.status(202).json({ success: true, message: 'Delivery queued', delivery_id: delivery.id });
+
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to redeliver webhook'
+    });
+  }
+});
+
+// Schema changes go through migrations (npm run migrate up), never the
+// running service -- but serving against a schema that's behind the code
+// fails in confusing ways mid-request, so refuse to start instead.
+assertSchemaCurrent()
+  .then(() => {
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`🏠 Property service running on port ${PORT}`);
+      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+
+    // Background jobs run in-process by default; set JOB_WORKER_ENABLED=false
+    // when they're handled by separate `npm run worker` processes instead.
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      startJobWorker({
+        ...geocodingJobHandlers, ...propertyImportJobHandlers, ...savedSearchJobHandlers, ...webhookJobHandlers
+      });
+      scheduleSavedSearchMatcher()
+        .catch(error => console.error('Failed to schedule the saved search matcher:', error.message));
+      scheduleWebhookDispatcher()
+        .catch(error => console.error('Failed to schedule the webhook dispatcher:', error.message));
+    }
+  })
+  .catch(error => {
+    console.error('Refusing to start:', error.message);
+    process.exit(1);
+  });
+
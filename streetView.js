@@ -8,26 +8,10 @@
 // Street View Metadata API, then compute the compass bearing from that
 // panorama to the property's coordinates — that's the heading that looks
 // at the building.
-const https = require('https');
+const { httpsGetJson } = require('./httpsGetJson');
 
 const STREETVIEW_SERVER_KEY = process.env.GOOGLE_STREETVIEW_SERVER_KEY;
 
-function httpsGetJson(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(e);
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
 // Compass bearing (0-360 degrees) from point 1 to point 2.
 function bearingBetween(lat1, lng1, lat2, lng2) {
   const toRad = (deg) => deg * Math.PI / 180;
@@ -48,25 +32,36 @@ function bearingBetween(lat1, lng1, lat2, lng2) {
 // catches those without wandering far enough to snap to an unrelated street.
 const SEARCH_RADIUS_METERS = 200;
 
-// Returns { heading, lat, lng } for the nearest real panorama (heading faces
-// from that panorama toward the target point), or null if there's no Street
-// View coverage nearby, the lookup fails, or the server-side key isn't
-// configured. lat/lng are the panorama's own coordinates, NOT the target's --
-// callers should request the Static/Embed image AT the panorama's coordinates
-// rather than the original target point. Google's Static/Embed APIs do their
-// own independent (and similarly tight, default-50m) nearest-panorama snap,
-// so if we told them to look at the original target point instead, a
+// Full metadata for the nearest real panorama, with an explicit coverage
+// status so callers can tell "there's no imagery here" apart from "we
+// couldn't find out":
+//   covered        -- heading/lat/lng/pano_id/capture_date/copyright are set
+//   no_coverage    -- Google has no panorama within SEARCH_RADIUS_METERS
+//   error          -- the lookup failed (bad key, quota, network); try again
+//   not_configured -- no server-side key, nothing was asked
+// heading faces from the panorama toward the target point, and lat/lng are
+// the panorama's own coordinates, NOT the target's -- callers should
+// request the Static/Embed image AT the panorama's coordinates rather than
+// the original target point. Google's Static/Embed APIs do their own
+// independent (and similarly tight, default-50m) nearest-panorama snap, so
+// if we told them to look at the original target point instead, a
 // panorama our own wider-radius metadata search found could still fail to
 // render there -- Google returns a "no imagery" placeholder as a normal 200
-// response, so that failure wouldn't even surface as an error.
-async function getStreetViewHeading(lat, lng) {
-  if (!STREETVIEW_SERVER_KEY || lat == null || lng == null) return null;
+// response, so that failure wouldn't even surface as an error. capture_date
+// is Google's "YYYY-MM" (sometimes just "YYYY").
+async function getStreetViewMetadata(lat, lng) {
+  const empty = { heading: null, lat: null, lng: null, pano_id: null, capture_date: null, copyright: null };
+  if (!STREETVIEW_SERVER_KEY) return { status: 'not_configured', ...empty };
+  if (lat == null || lng == null) return { status: 'error', ...empty, error: 'No coordinates' };
 
   try {
     const url = `https://maps.googleapis.com/maps/api/streetview/metadata?location=${lat},${lng}&radius=${SEARCH_RADIUS_METERS}&key=${STREETVIEW_SERVER_KEY}`;
     const metadata = await httpsGetJson(url);
 
-    if (metadata.status === 'ZERO_RESULTS') return null; // genuinely no coverage nearby -- expected, not an error
+    // Genuinely no coverage nearby -- expected, not an error.
+    if (metadata.status === 'ZERO_RESULTS' || metadata.status === 'NOT_FOUND') {
+      return { status: 'no_coverage', ...empty };
+    }
 
     if (metadata.status !== 'OK' || !metadata.location) {
       // Anything else (REQUEST_DENIED, OVER_QUERY_LIMIT, INVALID_REQUEST,
@@ -74,18 +69,31 @@ async function getStreetViewHeading(lat, lng) {
       // exhausted quota would otherwise silently look identical to "no
       // coverage" everywhere, site-wide, with nothing in the logs to catch it.
       console.error('Street View metadata returned non-OK status:', metadata.status, metadata.error_message || '');
-      return null;
+      return { status: 'error', ...empty, error: metadata.status };
     }
 
     return {
+      status: 'covered',
       heading: Math.round(bearingBetween(metadata.location.lat, metadata.location.lng, lat, lng)),
       lat: metadata.location.lat,
-      lng: metadata.location.lng
+      lng: metadata.location.lng,
+      pano_id: metadata.pano_id ?? null,
+      capture_date: metadata.date ?? null,
+      copyright: metadata.copyright ?? null
     };
   } catch (error) {
     console.warn('Street View metadata lookup failed:', error.message);
-    return null;
+    return { status: 'error', ...empty, error: error.message };
   }
 }
 
-module.exports = { getStreetViewHeading };
+// Returns { heading, lat, lng } for the nearest real panorama, or null when
+// there's no coverage, the lookup failed, or the key isn't configured --
+// the shape the address-preview routes need. See getStreetViewMetadata.
+async function getStreetViewHeading(lat, lng) {
+  const metadata = await getStreetViewMetadata(lat, lng);
+  if (metadata.status !== 'covered') return null;
+  return { heading: metadata.heading, lat: metadata.lat, lng: metadata.lng };
+}
+
+module.exports = { getStreetViewHeading, getStreetViewMetadata };
@@ -0,0 +1,255 @@
+// Server-side Street View Static images for GET /properties/:id/street-view.jpg,
+// so clients don't need a browser key of their own. Requests are signed with
+// the URL signing secret (when configured) and the bytes are cached on local
+// disk -- every image costs a Static API request otherwise, and a search
+// results page can show dozens.
+//
+// Google answers "no imagery here" with a grey placeholder image and a normal
+// 200. return_error_code=true turns that into a 404 instead, which is how the
+// placeholder is detected; those answers are remembered (a .none marker next
+// to where the image would be) under a shorter TTL.
+//
+// Size, fov and pitch are all part of the cache key, so query-string
+// variations alone could grow the cache without bound. Expired files are
+// swept out after writes, and past STREET_VIEW_IMAGE_CACHE_MAX_MB the
+// oldest go first.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const https = require('https');
+const path = require('path');
+
+const STREETVIEW_SERVER_KEY = process.env.GOOGLE_STREETVIEW_SERVER_KEY;
+const STREETVIEW_SIGNING_SECRET = process.env.GOOGLE_STREETVIEW_SIGNING_SECRET;
+
+const CACHE_DIR = process.env.STREET_VIEW_IMAGE_CACHE_DIR || path.join(__dirname, '.cache', 'street-view');
+// Pano-keyed images never change; location-keyed ones (rows from before
+// pano_id was stored) can, when Google publishes newer imagery.
+const CACHE_TTL_HOURS = parseFloat(process.env.STREET_VIEW_IMAGE_CACHE_TTL_HOURS ?? '720'); // 30 days
+const NEGATIVE_TTL_HOURS = parseFloat(process.env.STREET_VIEW_IMAGE_NEGATIVE_TTL_HOURS ?? '24');
+const CACHE_MAX_BYTES = parseFloat(process.env.STREET_VIEW_IMAGE_CACHE_MAX_MB ?? '500') * 1024 * 1024;
+
+// At most one sweep this often, whatever the write rate.
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// Temp files older than this were left by a write that died mid-way.
+const STALE_TEMP_FILE_MS = 60 * 60 * 1000;
+
+// Served for properties without imagery. Unset means those get a 404.
+const FALLBACK_IMAGE_PATH = process.env.STREET_VIEW_FALLBACK_IMAGE;
+
+const FETCH_TIMEOUT_MS = 10000;
+
+const IMAGE_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+// Google's URL signing: HMAC-SHA1 over path + query with the URL-safe
+// base64 secret, appended as a URL-safe base64 &signature=.
+function signUrl(url) {
+  if (!STREETVIEW_SIGNING_SECRET) return url;
+
+  const { pathname, search } = new URL(url);
+  const secret = Buffer.from(STREETVIEW_SIGNING_SECRET.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  const signature = crypto.createHmac('sha1', secret)
+    .update(pathname + search)
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  return `${url}&signature=${signature}`;
+}
+
+// pano= pins the exact panorama the metadata lookup found; rows without a
+// pano_id fall back to the panorama's coordinates (see streetView.js for
+// why those, not the property's own).
+function staticImageUrl(property, { width, height, fov, pitch }) {
+  const params = new URLSearchParams({
+    size: `${width}x${height}`,
+    heading: String(property.street_view_heading),
+    fov: String(fov),
+    pitch: String(pitch),
+    return_error_code: 'true',
+    key: STREETVIEW_SERVER_KEY
+  });
+  if (property.street_view_pano_id) {
+    params.set('pano', property.street_view_pano_id);
+  } else {
+    params.set('location', `${property.street_view_lat},${property.street_view_lng}`);
+  }
+  return signUrl(`https://maps.googleapis.com/maps/api/streetview?${params}`);
+}
+
+function cacheKey(property, { width, height, fov, pitch }) {
+  const where = property.street_view_pano_id || `${property.street_view_lat},${property.street_view_lng}`;
+  return crypto.createHash('sha256')
+    .update([where, property.street_view_heading, width, height, fov, pitch].join('|'))
+    .digest('hex');
+}
+
+function httpsGetBuffer(url) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+    request.setTimeout(FETCH_TIMEOUT_MS, () => request.destroy(new Error('Street View image request timed out')));
+    request.on('error', reject);
+  });
+}
+
+// Returns the file's contents if it exists and is younger than ttlHours,
+// otherwise undefined.
+async function readFresh(file, ttlHours) {
+  try {
+    const stats = await fs.stat(file);
+    if (Date.now() - stats.mtimeMs > ttlHours * 60 * 60 * 1000) return undefined;
+    return await fs.readFile(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('Street View image cache read failed:', error.message);
+    return undefined;
+  }
+}
+
+// Written to a temp name and renamed into place, so a concurrent reader
+// never sees half an image.
+async function writeCacheFile(file, contents) {
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, contents);
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    // The cache is an optimization -- a full disk should cost a fetch, not
+    // fail the request.
+    console.warn('Street View image cache write failed:', error.message);
+  }
+  scheduleCacheSweep();
+}
+
+// Deletes expired images, markers and stale temp files, then -- if what's
+// left is still over CACHE_MAX_BYTES -- the oldest files until it's back
+// under 90% of it. Anything else in the directory is left alone.
+async function sweepCache() {
+  const now = Date.now();
+  const kept = [];
+  let totalBytes = 0;
+
+  for (const name of await fs.readdir(CACHE_DIR)) {
+    const maxAgeMs = name.endsWith('.jpg') ? CACHE_TTL_HOURS * 60 * 60 * 1000
+      : name.endsWith('.none') ? NEGATIVE_TTL_HOURS * 60 * 60 * 1000
+        : name.endsWith('.tmp') ? STALE_TEMP_FILE_MS
+          : null;
+    if (maxAgeMs === null) continue;
+
+    const file = path.join(CACHE_DIR, name);
+    let stats;
+    try {
+      stats = await fs.stat(file);
+    } catch {
+      continue; // removed by a concurrent sweep or replaced mid-rename
+    }
+
+    if (now - stats.mtimeMs > maxAgeMs) {
+      await fs.rm(file, { force: true });
+    } else if (!name.endsWith('.tmp')) {
+      kept.push({ file, size: stats.size, mtimeMs: stats.mtimeMs });
+      totalBytes += stats.size;
+    }
+  }
+
+  if (totalBytes <= CACHE_MAX_BYTES) return;
+  kept.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const entry of kept) {
+    if (totalBytes <= CACHE_MAX_BYTES * 0.9) break;
+    await fs.rm(entry.file, { force: true });
+    totalBytes -= entry.size;
+  }
+}
+
+let lastSweepAt = 0;
+let sweeping = false;
+
+function scheduleCacheSweep() {
+  if (sweeping || Date.now() - lastSweepAt < SWEEP_INTERVAL_MS) return;
+  sweeping = true;
+  lastSweepAt = Date.now();
+  sweepCache()
+    .catch(error => console.warn('Street View image cache sweep failed:', error.message))
+    .finally(() => { sweeping = false; });
+}
+
+async function fetchStreetViewImage(property, options, key) {
+  const imageFile = path.join(CACHE_DIR, `${key}.jpg`);
+  const noneFile = path.join(CACHE_DIR, `${key}.none`);
+
+  const response = await httpsGetBuffer(staticImageUrl(property, options));
+
+  if (response.statusCode === 404) {
+    await writeCacheFile(noneFile, '');
+    return { status: 'no_coverage' };
+  }
+  if (response.statusCode !== 200 || !String(response.headers['content-type']).startsWith('image/')) {
+    // 403 is a bad key or signature -- worth shouting about, since it would
+    // otherwise look like "no imagery" everywhere.
+    throw new Error(`Street View Static API returned ${response.statusCode}: ${response.body.toString('utf8', 0, 200)}`);
+  }
+
+  await writeCacheFile(imageFile, response.body);
+  return { status: 'ok', image: response.body, cached: false };
+}
+
+// Concurrent requests for the same image (a results page loading twice)
+// share one fetch.
+const inFlight = new Map();
+
+// Returns { status: 'ok', image, cached } or { status: 'no_coverage' } when
+// Google has no imagery for that view. Throws when the image couldn't be
+// fetched (nothing is cached then). The property needs street_view_heading
+// and street_view_lat/lng (and ideally street_view_pano_id); options are
+// { width, height, fov, pitch }.
+async function getStreetViewImage(property, options) {
+  const key = cacheKey(property, options);
+
+  if (CACHE_TTL_HOURS > 0) {
+    const cached = await readFresh(path.join(CACHE_DIR, `${key}.jpg`), CACHE_TTL_HOURS);
+    if (cached) return { status: 'ok', image: cached, cached: true };
+  }
+  if (NEGATIVE_TTL_HOURS > 0 && await readFresh(path.join(CACHE_DIR, `${key}.none`), NEGATIVE_TTL_HOURS)) {
+    return { status: 'no_coverage' };
+  }
+
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fetchStreetViewImage(property, options, key).finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+let fallbackImage;
+
+// The configured fallback as { body, contentType }, or null when none is
+// configured (or it can't be read). Read once and kept in memory.
+async function getFallbackImage() {
+  if (fallbackImage !== undefined) return fallbackImage;
+  if (!FALLBACK_IMAGE_PATH) return (fallbackImage = null);
+
+  try {
+    fallbackImage = {
+      body: await fs.readFile(FALLBACK_IMAGE_PATH),
+      contentType: IMAGE_CONTENT_TYPES[path.extname(FALLBACK_IMAGE_PATH).toLowerCase()] || 'application/octet-stream'
+    };
+  } catch (error) {
+    console.error('Street View fallback image could not be read:', error.message);
+    fallbackImage = null;
+  }
+  return fallbackImage;
+}
+
+function isStreetViewImageConfigured() {
+  return Boolean(STREETVIEW_SERVER_KEY);
+}
+
+module.exports = { getStreetViewImage, getFallbackImage, isStreetViewImageConfigured };
@@ -0,0 +1,262 @@
+// Webhook delivery for the property events in the outbox (see outbox.js).
+//
+// A recurring job (webhook_dispatch) fans each undispatched outbox event out
+// to one webhook_deliveries row per active subscription that wants its type,
+// and enqueues a webhook_delivery job for each -- all in one transaction, so
+// an event is either fully fanned out or still waiting. The delivery job
+// POSTs the event, signed with the subscription's secret; anything but a
+// 2xx fails the attempt and jobs.js retries it with backoff. Once
+// WEBHOOK_MAX_ATTEMPTS run out the delivery is marked dead, where it stays
+// until an admin redelivers it (POST /admin/webhooks/:id/deliveries/:deliveryId/redeliver).
+//
+// Subscribers verify X-Webhook-Signature: "t=<unix seconds>,v1=<hex>",
+// where v1 is HMAC-SHA256(secret, `${t}.${raw body}`). Deliveries can
+// arrive more than once and out of order; the event id and created_at in
+// the body are there to dedupe and order by.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { pool } = require('./db');
+const { enqueueJob, enqueueUniqueJob, requeue } = require('./jobs');
+
+const WEBHOOK_DISPATCH_JOB = 'webhook_dispatch';
+const WEBHOOK_DELIVERY_JOB = 'webhook_delivery';
+
+const DISPATCH_INTERVAL_SECONDS = parseFloat(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS ?? '5');
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS ?? '8', 10);
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS ?? '10000', 10);
+
+// Events fanned out per dispatcher run. A full batch requeues straight away
+// rather than waiting out the interval.
+const DISPATCH_BATCH_SIZE = 100;
+
+// Kept on the delivery row for the admin view -- enough to see what the
+// subscriber said, not a copy of its error page.
+const MAX_ERROR_LENGTH = 500;
+
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'landlord-property-service-webhooks',
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => {
+        if (data.length < MAX_ERROR_LENGTH) data += chunk;
+      });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+      res.on('error', reject);
+    });
+    request.setTimeout(DELIVERY_TIMEOUT_MS, () => request.destroy(new Error('Webhook request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Fans out up to DISPATCH_BATCH_SIZE events, oldest first. Returns
+// { events, deliveries } counts.
+async function dispatchPendingEvents() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const events = await client.query(
+      `SELECT id, type FROM outbox_events
+       WHERE dispatched_at IS NULL
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [DISPATCH_BATCH_SIZE]
+    );
+
+    let deliveries = 0;
+    if (events.rows.length > 0) {
+      const eventIds = events.rows.map(event => event.id);
+      const created = await client.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id)
+         SELECT s.id, e.id
+         FROM outbox_events e
+         JOIN webhook_subscriptions s
+           ON s.active AND (cardinality(s.event_types) = 0 OR e.type = ANY(s.event_types))
+         WHERE e.id = ANY($1)
+         ORDER BY e.id, s.id
+         ON CONFLICT ON CONSTRAINT webhook_deliveries_unique_event DO NOTHING
+         RETURNING id`,
+        [eventIds]
+      );
+
+      for (const delivery of created.rows) {
+        await enqueueJob(client, WEBHOOK_DELIVERY_JOB, { delivery_id: delivery.id }, { maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+      }
+      deliveries = created.rows.length;
+
+      await client.query('UPDATE outbox_events SET dispatched_at = NOW() WHERE id = ANY($1)', [eventIds]);
+    }
+
+    await client.query('COMMIT');
+    return { events: events.rows.length, deliveries };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Puts the dispatcher in the queue unless it's already there. Called by
+// every worker at startup.
+async function scheduleWebhookDispatcher({ delaySeconds = 0 } = {}) {
+  return enqueueUniqueJob(WEBHOOK_DISPATCH_JOB, {}, {
+    runAt: delaySeconds > 0 ? new Date(Date.now() + delaySeconds * 1000) : null
+  });
+}
+
+// Puts a dead delivery back in line with a fresh set of attempts. Returns
+// the delivery, or null if there's no dead delivery by that id on that
+// subscription.
+async function redeliverWebhook(subscriptionId, deliveryId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', last_error = NULL, updated_at = NOW()
+       WHERE id = $1 AND subscription_id = $2 AND status = 'dead'
+       RETURNING *`,
+      [deliveryId, subscriptionId]
+    );
+    if (result.rows.length > 0) {
+      await enqueueJob(client, WEBHOOK_DELIVERY_JOB, { delivery_id: deliveryId }, { maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+    }
+    await client.query('COMMIT');
+    return result.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const webhookDispatchHandler = {
+  async run() {
+    const counts = await dispatchPendingEvents();
+    return requeue(counts, {
+      delaySeconds: counts.events === DISPATCH_BATCH_SIZE ? 0 : DISPATCH_INTERVAL_SECONDS
+    });
+  },
+
+  // Out of retries -- start a fresh dispatcher so events don't pile up
+  // undelivered behind a transient outage.
+  async onFailed() {
+    await scheduleWebhookDispatcher({ delaySeconds: DISPATCH_INTERVAL_SECONDS });
+  }
+};
+
+const webhookDeliveryHandler = {
+  async run({ delivery_id: deliveryId }) {
+    const result = await pool.query(
+      `SELECT d.id, d.status, e.id AS event_id, e.type, e.payload, e.created_at,
+              s.id AS subscription_id, s.url, s.secret, s.active
+       FROM webhook_deliveries d
+       JOIN outbox_events e ON e.id = d.event_id
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.id = $1`,
+      [deliveryId]
+    );
+    const delivery = result.rows[0];
+
+    // Subscription deleted, or already delivered by an earlier job that
+    // lost its lock after the POST went through.
+    if (!delivery || delivery.status !== 'pending') {
+      return { delivery_id: deliveryId, skipped: delivery ? delivery.status : 'not_found' };
+    }
+
+    // Deactivated since the event was fanned out -- dead-letter it so it
+    // can be redelivered if the subscription comes back.
+    if (!delivery.active) {
+      await pool.query(
+        `UPDATE webhook_deliveries
+         SET status = 'dead', last_error = 'Subscription inactive', updated_at = NOW()
+         WHERE id = $1`,
+        [deliveryId]
+      );
+      return { delivery_id: deliveryId, skipped: 'subscription_inactive' };
+    }
+
+    const body = JSON.stringify({
+      id: String(delivery.event_id),
+      type: delivery.type,
+      created_at: delivery.created_at,
+      data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let response;
+    try {
+      response = await postJson(delivery.url, body, {
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Event-Id': String(delivery.event_id),
+        'X-Webhook-Delivery-Id': String(deliveryId),
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(delivery.secret, timestamp, body)}`
+      });
+    } catch (error) {
+      await recordFailedAttempt(deliveryId, null, error.message);
+      throw error;
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      const message = `Subscriber responded ${response.statusCode}`;
+      await recordFailedAttempt(deliveryId, response.statusCode, response.body ? `${message}: ${response.body}` : message);
+      throw new Error(message);
+    }
+
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = attempts + 1, last_status_code = $2, last_error = NULL,
+           delivered_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [deliveryId, response.statusCode]
+    );
+    return { delivery_id: deliveryId, status_code: response.statusCode };
+  },
+
+  // Out of retries -- the dead-letter state.
+  async onFailed({ delivery_id: deliveryId }) {
+    await pool.query(
+      "UPDATE webhook_deliveries SET status = 'dead', updated_at = NOW() WHERE id = $1 AND status = 'pending'",
+      [deliveryId]
+    );
+  }
+};
+
+async function recordFailedAttempt(deliveryId, statusCode, message) {
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET attempts = attempts + 1, last_status_code = $2, last_error = $3, updated_at = NOW()
+     WHERE id = $1`,
+    [deliveryId, statusCode, message.slice(0, MAX_ERROR_LENGTH)]
+  );
+}
+
+const webhookJobHandlers = {
+  [WEBHOOK_DISPATCH_JOB]: webhookDispatchHandler,
+  [WEBHOOK_DELIVERY_JOB]: webhookDeliveryHandler
+};
+
+module.exports = { webhookJobHandlers, scheduleWebhookDispatcher, redeliverWebhook, generateWebhookSecret };
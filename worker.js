@@ -0,0 +1,37 @@
+// Standalone background job worker (npm run worker). The API process runs
+// the same worker in-process unless JOB_WORKER_ENABLED=false; running it
+// separately keeps slow geocoding/Street View work (and CSV imports, the
+// saved-search matcher and webhook deliveries) off the API's event loop
+// and lets it scale on its own. Any number of these can run side by side.
+require('dotenv').config();
+const { pool } = require('./db');
+const { assertSchemaCurrent } = require('./migrate');
+const { startJobWorker } = require('./jobs');
+const { geocodingJobHandlers } = require('./propertyGeocoding');
+const { propertyImportJobHandlers } = require('./propertyImports');
+const { savedSearchJobHandlers, scheduleSavedSearchMatcher } = require('./savedSearches');
+const { webhookJobHandlers, scheduleWebhookDispatcher } = require('./webhooks');
+
+assertSchemaCurrent()
+  .then(() => {
+    const worker = startJobWorker({
+      ...geocodingJobHandlers, ...propertyImportJobHandlers, ...savedSearchJobHandlers, ...webhookJobHandlers
+    });
+    scheduleSavedSearchMatcher()
+      .catch(error => console.error('Failed to schedule the saved search matcher:', error.message));
+    scheduleWebhookDispatcher()
+      .catch(error => console.error('Failed to schedule the webhook dispatcher:', error.message));
+
+    // Stop claiming jobs on SIGTERM/SIGINT. A job cut off mid-run is
+    // reclaimed by another worker once its lock goes stale.
+    const shutdown = () => {
+      worker.stop();
+      pool.end().finally(() => process.exit(0));
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+  })
+  .catch(error => {
+    console.error('Refusing to start:', error.message);
+    process.exit(1);
+  });